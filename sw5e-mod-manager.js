@@ -35,7 +35,24 @@ Hooks.once('init', () => {
         console.error("SW5e Mod Manager | Failed to patch core Item types", e);
     }
 
-    // SETTINGS: Register individual numeric inputs for each rarity level
+    // SETTINGS: Rarity tiers drive default slots, the install rarity limit, check DCs and crafting hours
+    game.settings.register('sw5e-mod-manager', 'rarityTiers', {
+        scope: 'world',
+        config: false,
+        type: Array,
+        default: foundry.utils.deepClone(DEFAULT_RARITY_TIERS)
+    });
+
+    game.settings.registerMenu('sw5e-mod-manager', 'rarityMenu', {
+        name: "Rarity Tiers",
+        label: "Configure Rarity Tiers",
+        hint: "Edit the rarity tiers used for default slot counts, the install rarity limit, check DCs and crafting hours. Add rows for homebrew rarities.",
+        icon: "fas fa-gem",
+        type: RarityTiersMenu,
+        restricted: true
+    });
+
+    // Legacy per-rarity settings, only read when migrating them into the rarity tiers
     const rarityDefaults = {
         "common": 2, "standard": 2, 
         "uncommon": 3, "premium": 3, 
@@ -47,14 +64,264 @@ Hooks.once('init', () => {
 
     for (let [rarity, count] of Object.entries(rarityDefaults)) {
         game.settings.register('sw5e-mod-manager', `slots-${rarity}`, {
-            name: `Max Slots: ${rarity.charAt(0).toUpperCase() + rarity.slice(1)}`,
-            hint: `Define how many modification slots a ${rarity} chassis has.`,
             scope: 'world',
-            config: true,
+            config: false,
             type: Number,
             default: count
         });
     }
+
+    // SETTINGS: Install/removal check configuration
+    game.settings.register('sw5e-mod-manager', 'tool-weapon', {
+        name: "Check Tool: Weapons",
+        hint: "Tool key (as used by the DnD5e system) rolled to modify weapon chassis, e.g. weaponsmith. Leave empty to use the check formula instead.",
+        scope: 'world',
+        config: true,
+        type: String,
+        default: "weaponsmith"
+    });
+
+    game.settings.register('sw5e-mod-manager', 'tool-equipment', {
+        name: "Check Tool: Equipment",
+        hint: "Tool key (as used by the DnD5e system) rolled to modify equipment chassis, e.g. armormech. Leave empty to use the check formula instead.",
+        scope: 'world',
+        config: true,
+        type: String,
+        default: "armormech"
+    });
+
+    // The other built-in chassis kinds get a tool setting of their own
+    for (const kind of CHASSIS_KINDS.values()) {
+        if (game.settings.settings.has(`sw5e-mod-manager.tool-${kind.id}`)) continue;
+        game.settings.register('sw5e-mod-manager', `tool-${kind.id}`, {
+            name: `Check Tool: ${kind.label}`,
+            hint: `Tool key (as used by the DnD5e system) rolled to modify ${kind.label.toLowerCase()} chassis. Leave empty to use the check formula instead.`,
+            scope: 'world',
+            config: true,
+            type: String,
+            default: kind.tool
+        });
+    }
+
+    game.settings.register('sw5e-mod-manager', 'droidSpecies', {
+        name: "Droid Species",
+        hint: "Comma-separated species identifiers whose characters are droid chassis. Actors with the droid creature type always are.",
+        scope: 'world',
+        config: true,
+        type: String,
+        default: "droid, droid-class-i, droid-class-ii, droid-class-iii, droid-class-iv, droid-class-v"
+    });
+
+    game.settings.register('sw5e-mod-manager', 'cyberneticCharacters', {
+        name: "Cybernetics for All Characters",
+        hint: "Treat every player character as a cybernetics chassis. When off, only actors flagged with the cybernetic chassis kind are.",
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+    });
+
+    game.settings.register('sw5e-mod-manager', 'checkFormula', {
+        name: "Check Formula",
+        hint: "Roll formula used when no tool is configured for the chassis type or the system cannot roll it. Uses the actor's roll data.",
+        scope: 'world',
+        config: true,
+        type: String,
+        default: "1d20 + @abilities.int.mod + @prof"
+    });
+
+    game.settings.register('sw5e-mod-manager', 'dcTable', {
+        scope: 'world',
+        config: false,
+        type: String,
+        default: "common=10, standard=10, uncommon=14, premium=14, rare=18, prototype=18, veryrare=22, advanced=22, legendary=26, artifact=30"
+    });
+
+    game.settings.register('sw5e-mod-manager', 'malfunctionMargin', {
+        name: "Malfunction Margin",
+        hint: "A failed install, removal or repair check that misses the DC by this much or more, or rolls a natural 1, damages the modification. Set to 0 to turn malfunctions off.",
+        scope: 'world',
+        config: true,
+        type: Number,
+        default: 5
+    });
+
+    game.settings.register('sw5e-mod-manager', 'uniqueMods', {
+        name: "Unique Mods",
+        hint: "Only allow one copy of the same modification per chassis, unless the modification's rules say otherwise.",
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: true
+    });
+
+    // SETTINGS: Player permissions
+    game.settings.register('sw5e-mod-manager', 'requireApproval', {
+        name: "Require GM Approval",
+        hint: "Installs and removals started by players are sent to the GM, who approves or rejects them. The GM client then rolls the check and applies the changes.",
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+    });
+
+    game.settings.register('sw5e-mod-manager', 'directRole', {
+        name: "Direct (Skip Roll) Permission",
+        hint: "The lowest user role allowed to install or remove modifications without rolling a check.",
+        scope: 'world',
+        config: true,
+        type: Number,
+        choices: {
+            [CONST.USER_ROLES.PLAYER]: "Player",
+            [CONST.USER_ROLES.TRUSTED]: "Trusted Player",
+            [CONST.USER_ROLES.ASSISTANT]: "Assistant GM",
+            [CONST.USER_ROLES.GAMEMASTER]: "Game Master"
+        },
+        default: CONST.USER_ROLES.GAMEMASTER
+    });
+
+    // SETTINGS: Crafting time and cost
+    game.settings.register('sw5e-mod-manager', 'trackCrafting', {
+        name: "Track Crafting Time & Cost",
+        hint: "Successful installs and removals become jobs on the chassis that take time and credits. The change is applied once the required hours have passed in game time or been logged by hand.",
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+    });
+
+    game.settings.register('sw5e-mod-manager', 'hoursTable', {
+        scope: 'world',
+        config: false,
+        type: String,
+        default: "common=1, standard=1, uncommon=2, premium=2, rare=4, prototype=4, veryrare=8, advanced=8, legendary=16, artifact=32"
+    });
+
+    game.settings.register('sw5e-mod-manager', 'costPercent', {
+        name: "Crafting Cost (% of Price)",
+        hint: "Percentage of the modification's price charged to the actor when an install or removal job starts.",
+        scope: 'world',
+        config: true,
+        type: Number,
+        default: 10
+    });
+
+    game.settings.register('sw5e-mod-manager', 'repairCostPercent', {
+        name: "Repair Cost (% of Price)",
+        hint: "Percentage of the modification's price charged to the actor for each repair attempt.",
+        scope: 'world',
+        config: true,
+        type: Number,
+        default: 25
+    });
+
+    game.settings.register('sw5e-mod-manager', 'refundPercent', {
+        name: "Cancellation Refund (%)",
+        hint: "Percentage of the unworked part of a job's cost that is refunded when the job is cancelled.",
+        scope: 'world',
+        config: true,
+        type: Number,
+        default: 100
+    });
+
+    game.settings.register('sw5e-mod-manager', 'currency', {
+        name: "Crafting Currency",
+        hint: "Actor currency key that crafting costs are paid in, e.g. gp.",
+        scope: 'world',
+        config: true,
+        type: String,
+        default: "gp"
+    });
+
+    // SETTINGS: Modification detection rules
+    game.settings.register('sw5e-mod-manager', 'detectPacks', {
+        name: "Detection: Compendium Packs",
+        hint: "Comma separated compendium ids (e.g. sw5e.modifications). Items in these packs, or imported from them, are modifications.",
+        scope: 'world',
+        config: true,
+        type: String,
+        default: "sw5e.modifications"
+    });
+
+    game.settings.register('sw5e-mod-manager', 'detectTypes', {
+        name: "Detection: System Types",
+        hint: "Comma separated values of system.type.value that mark an item as a modification.",
+        scope: 'world',
+        config: true,
+        type: String,
+        default: "modification"
+    });
+
+    game.settings.register('sw5e-mod-manager', 'detectFlags', {
+        name: "Detection: Flags",
+        hint: "Comma separated flag rules as scope.key=value, or scope.key to match any truthy value.",
+        scope: 'world',
+        config: true,
+        type: String,
+        default: "sw5e.type=modification"
+    });
+
+    game.settings.register('sw5e-mod-manager', 'detectTag', {
+        name: "Detection: Tag",
+        hint: "Items carrying this property tag are modifications. Leave empty to disable.",
+        scope: 'world',
+        config: true,
+        type: String,
+        default: ""
+    });
+
+    game.settings.register('sw5e-mod-manager', 'detectLegacy', {
+        name: "Detection: Name Heuristics",
+        hint: "Also treat items as modifications when their name contains \"modification\" or their UUID contains \"modifications\" (the behaviour of earlier versions).",
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+    });
+
+    game.settings.registerMenu('sw5e-mod-manager', 'detectionReport', {
+        name: "Detection Report",
+        label: "Run Dry-Run Report",
+        hint: "List which world and compendium items the current detection rules treat as modifications, without changing anything.",
+        icon: "fas fa-search",
+        type: ModDetectionReport,
+        restricted: true
+    });
+
+    game.settings.registerMenu('sw5e-mod-manager', 'bulkWrapMenu', {
+        name: "Bulk Wrap",
+        label: "Bulk Wrap Modifications",
+        hint: "Wrap every modification in a compendium, item folder or actor at once, in place or into a new world compendium.",
+        icon: "fas fa-boxes",
+        type: BulkWrapMenu,
+        restricted: true
+    });
+
+    // SETTINGS: Data migration and repair
+    game.settings.register('sw5e-mod-manager', 'migrationVersion', {
+        scope: 'world',
+        config: false,
+        type: Number,
+        default: 0
+    });
+
+    game.settings.registerMenu('sw5e-mod-manager', 'repairMenu', {
+        name: "Fix Chassis Data",
+        label: "Fix Chassis Data",
+        hint: "Scan world items, actors and unlocked compendiums for orphaned mod effects, duplicate mod entries and stale ids, and fix them.",
+        icon: "fas fa-wrench",
+        type: ModRepairMenu,
+        restricted: true
+    });
+
+    // DISPLAY PATCH: Show installed mods in item tooltips
+    patchItemTooltips();
+
+    // EFFECT PATCH: Mod effects follow the chassis' equipped and attuned state
+    patchEffectSuppression();
+
+    // PUBLIC API: Exposed for macros and companion modules
+    game.modules.get('sw5e-mod-manager').api = ModManagerAPI;
 });
 
 /**
@@ -63,27 +330,16 @@ Hooks.once('init', () => {
  * when a DM or player tries to create one or drag one from a compendium.
  */
 Hooks.on("preCreateItem", (item, data, options, userId) => {
-    // Only intercept if the type is explicitly "modification"
-    if (data.type !== "modification") return;
+    // Only intercept if the type is explicitly "modification", and never while unwrapping on purpose
+    if (data.type !== "modification" || options.sw5eModManager) return;
 
     console.log(`SW5e Mod Manager | Intercepting creation of ${data.name}. Wrapping as loot...`);
 
     // Create the "wrapped" structure
     const originalModData = item.toObject();
-    
-    // Mutate the creation data to be a valid "loot" item
-    const updates = {
-        type: "loot",
-        flags: {
-            "sw5e-mod-manager": {
-                isWrappedMod: true,
-                originalModData: originalModData
-            }
-        }
-    };
 
     // Apply mutation to the source data before it hits the database
-    item.updateSource(updates);
+    item.updateSource(buildModWrapper(originalModData));
 });
 
 /**
@@ -103,6 +359,8 @@ Hooks.on('getItemDirectoryEntryContext', (html, entryOptions) => {
             wrapModification(item);
         }
     });
+    entryOptions.push(getUnwrapOption(li => game.items.get(li.data("documentId"))));
+    entryOptions.push(...getMarkModificationOptions(li => game.items.get(li.data("documentId"))));
 });
 
 Hooks.on('getItemActorContext', (html, entryOptions) => {
@@ -124,31 +382,77 @@ Hooks.on('getItemActorContext', (html, entryOptions) => {
             wrapModification(item);
         }
     });
+    const getActorItem = li => {
+        const actor = game.actors.get(html.closest(".actor").data("documentId"));
+        return actor?.items.get(li.data("itemId") || li.data("documentId"));
+    };
+    entryOptions.push(getUnwrapOption(getActorItem));
+    entryOptions.push(...getMarkModificationOptions(getActorItem));
 });
 
 /**
- * Transforms a raw "modification" type item into a "loot" container manually
+ * Context menu entries to explicitly mark or unmark an item as a modification, overriding the detection rules.
  */
-async function wrapModification(item) {
-    const originalData = item.toObject();
-    
-    const lootWrapper = {
+function getMarkModificationOptions(getItem) {
+    return [{
+        name: "Mark as Modification",
+        icon: '<i class="fas fa-microchip"></i>',
+        condition: li => {
+            const item = getItem(li);
+            return game.user.isGM && item && !item.getFlag('sw5e-mod-manager', 'isWrappedMod') && !isModification(item);
+        },
+        callback: li => getItem(li)?.setFlag('sw5e-mod-manager', 'isModification', true)
+    }, {
+        name: "Unmark as Modification",
+        icon: '<i class="fas fa-ban"></i>',
+        condition: li => {
+            const item = getItem(li);
+            return game.user.isGM && item && !item.getFlag('sw5e-mod-manager', 'isWrappedMod') && isModification(item);
+        },
+        callback: li => getItem(li)?.setFlag('sw5e-mod-manager', 'isModification', false)
+    }];
+}
+
+/**
+ * Builds the "loot" wrapper data for a modification. The complete original document, including
+ * its embedded effects and flags, is kept in `originalModData`; the wrapper itself carries no
+ * effects so nothing applies to the actor while the mod sits in an inventory.
+ * Used by wrapping, the creation interceptor and salvaging. A damaged mod's condition moves from
+ * the original's flags onto the wrapper, so wrapping it again never repairs it.
+ */
+function buildModWrapper(originalData) {
+    const snapshot = foundry.utils.deepClone(originalData);
+    const condition = getModCondition(snapshot);
+    delete snapshot.flags?.['sw5e-mod-manager']?.condition;
+    return {
         name: originalData.name,
         type: "loot",
         img: originalData.img,
         system: {
-            description: originalData.system.description,
-            rarity: originalData.system.rarity,
-            weight: originalData.system.weight || 0,
-            price: originalData.system.price || 0
+            description: originalData.system?.description,
+            rarity: originalData.system?.rarity,
+            quantity: originalData.system?.quantity ?? 1,
+            weight: originalData.system?.weight || 0,
+            price: originalData.system?.price || 0
         },
+        effects: [],
         flags: {
             "sw5e-mod-manager": {
                 isWrappedMod: true,
-                originalModData: originalData
+                originalModData: snapshot,
+                ...(condition !== "working" ? { condition } : {})
             }
         }
     };
+}
+
+/**
+ * Transforms a raw "modification" type item into a "loot" container manually
+ */
+async function wrapModification(item) {
+    const originalData = item.toObject();
+    const lootWrapper = buildModWrapper(originalData);
+    if (!item.parent) lootWrapper.folder = originalData.folder;
 
     if (item.parent) {
         await item.parent.createEmbeddedDocuments("Item", [lootWrapper]);
@@ -164,27 +468,392 @@ async function wrapModification(item) {
 }
 
 /**
- * Robust helper to determine if an item is a modification.
+ * Restores a wrapped modification to its original document, effects and all.
+ */
+async function unwrapModification(item) {
+    const originalData = foundry.utils.deepClone(item.getFlag('sw5e-mod-manager', 'originalModData'));
+    if (!originalData) return;
+    delete originalData._id;
+    // The wrapper's stack may have shrunk since it was wrapped
+    foundry.utils.setProperty(originalData, 'system.quantity', item.system.quantity ?? 1);
+    if (!item.parent) originalData.folder = item.folder?.id ?? null;
+    // A damaged mod stays damaged once unwrapped
+    if (!isModWorking(item)) foundry.utils.setProperty(originalData, 'flags.sw5e-mod-manager.condition', getModCondition(item));
+
+    // The option stops the creation interceptor from wrapping it straight back up
+    if (item.parent) {
+        await item.parent.createEmbeddedDocuments("Item", [originalData], { sw5eModManager: true });
+    } else {
+        await Item.create(originalData, { sw5eModManager: true });
+    }
+    await item.delete();
+    ui.notifications.info(`${originalData.name} has been unwrapped.`);
+}
+
+function getUnwrapOption(getItem) {
+    return {
+        name: "Unwrap SW5e Modification",
+        icon: '<i class="fas fa-box"></i>',
+        condition: li => {
+            const item = getItem(li);
+            return item?.isOwner && !!item.getFlag('sw5e-mod-manager', 'originalModData');
+        },
+        callback: li => unwrapModification(getItem(li))
+    };
+}
+
+/**
+ * Determines if an item is a modification. Wrapped mods always are; otherwise an explicit
+ * "Mark as Modification" flag wins, then the detection rules from the settings apply.
  */
 function isModification(item) {
     if (!item) return false;
     if (item.getFlag('sw5e-mod-manager', 'isWrappedMod')) return true;
-    const uuid = item.uuid?.toLowerCase() || "";
-    if (uuid.includes('modifications')) return true;
-    const nameMatch = item.name?.toLowerCase().includes('modification');
-    const typeValue = item.system?.type?.value?.toLowerCase() || "";
-    const typeLabel = item.system?.type?.label?.toLowerCase() || "";
-    const typeMatch = typeValue.includes('modification') || typeLabel.includes('modification') || item.type === "modification";
-    const sw5eFlag = item.getFlag('sw5e', 'type') === 'modification';
-    return nameMatch || typeMatch || sw5eFlag;
+    const marked = item.getFlag('sw5e-mod-manager', 'isModification');
+    if (typeof marked === "boolean") return marked;
+    return getModificationMatch(item) !== null;
+}
+
+function parseSettingList(key) {
+    return (game.settings.get('sw5e-mod-manager', key) || "").split(',').map(s => s.trim()).filter(s => s);
+}
+
+/**
+ * Returns the first detection rule an item (document or compendium index entry) matches, or null.
+ */
+function getModificationMatch(item, packId = null) {
+    if (item.type === "modification") return "Item type";
+
+    const packs = parseSettingList('detectPacks');
+    const sourceId = item._stats?.compendiumSource || item.flags?.core?.sourceId || "";
+    const inPack = packs.find(p => (packId ?? item.pack) === p || sourceId.startsWith(`Compendium.${p}.`));
+    if (inPack) return `Compendium: ${inPack}`;
+
+    const typeValue = (item.system?.type?.value || "").toLowerCase();
+    const types = parseSettingList('detectTypes').map(t => t.toLowerCase());
+    if (typeValue && types.includes(typeValue)) return `Type: ${typeValue}`;
+
+    for (const rule of parseSettingList('detectFlags')) {
+        const [path, expected] = rule.split('=').map(s => s.trim());
+        const value = foundry.utils.getProperty(item.flags || {}, path);
+        if (expected === undefined ? !!value : String(value) === expected) return `Flag: ${rule}`;
+    }
+
+    const tag = game.settings.get('sw5e-mod-manager', 'detectTag')?.trim();
+    if (tag && Array.from(item.system?.properties || []).includes(tag)) return `Tag: ${tag}`;
+
+    if (game.settings.get('sw5e-mod-manager', 'detectLegacy')) {
+        const uuid = (item.uuid || (packId ? `Compendium.${packId}.Item.${item._id}` : "")).toLowerCase();
+        if (uuid.includes('modifications')) return "Legacy: UUID";
+        if (item.name?.toLowerCase().includes('modification')) return "Legacy: Name";
+        if ((item.system?.type?.label || "").toLowerCase().includes('modification')) return "Legacy: Type label";
+    }
+    return null;
+}
+
+/**
+ * Settings menu entry that lists what the current detection rules match.
+ */
+class ModDetectionReport extends FormApplication {
+    render() {
+        buildDetectionReport().then(showDetectionReport);
+        return this;
+    }
+}
+
+async function buildDetectionReport() {
+    const groups = [];
+    const check = (item, packId = null) => {
+        const marked = foundry.utils.getProperty(item, 'flags.sw5e-mod-manager.isModification');
+        if (foundry.utils.getProperty(item, 'flags.sw5e-mod-manager.isWrappedMod')) return "Wrapped";
+        if (typeof marked === "boolean") return marked ? "Marked" : null;
+        return getModificationMatch(item, packId);
+    };
+    const collect = (label, items, packId = null) => {
+        const matches = items.map(i => ({ name: i.name, reason: check(i, packId) })).filter(m => m.reason);
+        if (matches.length) groups.push({ label, matches });
+    };
+
+    collect("World Items", game.items.contents);
+    for (const actor of game.actors) collect(`Actor: ${actor.name}`, actor.items.contents);
+    for (const pack of game.packs.filter(p => p.documentName === "Item")) {
+        const index = await pack.getIndex({ fields: ["system.type", "system.properties", "flags", "_stats.compendiumSource"] });
+        collect(`Compendium: ${pack.title}`, index.contents, pack.collection);
+    }
+    return groups;
+}
+
+function showDetectionReport(groups) {
+    const total = groups.reduce((sum, g) => sum + g.matches.length, 0);
+    const content = groups.map(g => `
+        <h4 style="margin: 8px 0 4px;">${g.label} (${g.matches.length})</h4>
+        <ul style="margin: 0;">${g.matches.map(m => `<li>${m.name} <span style="color: #777; font-size: 0.85em;">&mdash; ${m.reason}</span></li>`).join('')}</ul>
+    `).join('');
+    new Dialog({
+        title: "Modification Detection Report",
+        content: `
+            <p>The current rules match <strong>${total}</strong> item(s). Nothing has been changed.</p>
+            <div style="max-height: 400px; overflow-y: auto;">${content || '<p>No items match.</p>'}</div>
+        `,
+        buttons: { ok: { label: "OK" } }
+    }, { width: 480 }).render(true);
+}
+
+/**
+ * BULK WRAP
+ * Wraps every unwrapped item the detection rules match in a compendium, item folder or actor.
+ * Items are wrapped in place, or copied into a new world compendium so the sources stay as they are.
+ */
+const BULK_WRAP_BATCH_SIZE = 50;
+
+class BulkWrapMenu extends FormApplication {
+    render() {
+        showBulkWrapDialog();
+        return this;
+    }
+}
+
+function showBulkWrapDialog(source = null) {
+    const option = (value, label) => `<option value="${value}" ${source && value === getBulkWrapSourceKey(source) ? 'selected' : ''}>${label}</option>`;
+    const packs = game.packs.filter(p => ["Item", "Actor"].includes(p.documentName));
+    const folders = game.folders.filter(f => f.type === "Item");
+    new Dialog({
+        title: "Bulk Wrap Modifications",
+        content: `
+            <div class="form-group">
+                <label>Source</label>
+                <select id="bulk-wrap-source">
+                    <optgroup label="Compendiums">${packs.map(p => option(`pack:${p.collection}`, p.title)).join('')}</optgroup>
+                    <optgroup label="Item Folders">${folders.map(f => option(`folder:${f.id}`, f.name)).join('')}</optgroup>
+                    <optgroup label="Actors">${game.actors.map(a => option(`actor:${a.id}`, a.name)).join('')}</optgroup>
+                </select>
+            </div>
+            <div class="form-group">
+                <label><input type="checkbox" id="bulk-wrap-copy" /> Copy into a new world compendium</label>
+            </div>
+            <div class="form-group">
+                <label>Compendium Name</label>
+                <input type="text" id="bulk-wrap-label" placeholder="Wrapped Modifications" />
+            </div>
+            <p class="hint" style="font-size: 0.8em;">Without a new compendium the items are replaced by their wrapped versions where they are.</p>
+        `,
+        buttons: {
+            preview: {
+                label: "Preview",
+                icon: '<i class="fas fa-search"></i>',
+                callback: async (html) => {
+                    const sourceDoc = resolveBulkWrapSource(html.find('#bulk-wrap-source').val());
+                    if (!sourceDoc) return;
+                    const copy = html.find('#bulk-wrap-copy').is(':checked');
+                    const label = html.find('#bulk-wrap-label').val().trim() || `${sourceDoc.title ?? sourceDoc.name} (Wrapped)`;
+                    showBulkWrapPreview(sourceDoc, await collectBulkWrapCandidates(sourceDoc), { compendiumLabel: copy ? label : null });
+                }
+            },
+            cancel: { label: "Cancel" }
+        },
+        default: "preview"
+    }, { width: 420 }).render(true);
+}
+
+function getBulkWrapSourceKey(source) {
+    if (source instanceof CompendiumCollection) return `pack:${source.collection}`;
+    return `${source.documentName === "Folder" ? "folder" : "actor"}:${source.id}`;
+}
+
+function resolveBulkWrapSource(key) {
+    const index = key?.indexOf(':') ?? -1;
+    if (index === -1) return null;
+    const type = key.slice(0, index);
+    const id = key.slice(index + 1);
+    if (type === "pack") return game.packs.get(id) ?? null;
+    if (type === "folder") return game.folders.get(id) ?? null;
+    if (type === "actor") return game.actors.get(id) ?? null;
+    return null;
+}
+
+/**
+ * Every item in the source that would be wrapped: detected as a modification and not wrapped yet.
+ */
+async function collectBulkWrapCandidates(source) {
+    let items = [];
+    if (source instanceof CompendiumCollection) {
+        const documents = await source.getDocuments();
+        items = source.documentName === "Item" ? documents : documents.flatMap(a => a.items.contents);
+    } else if (source.documentName === "Folder") {
+        items = [source, ...source.getSubfolders(true)].flatMap(f => f.contents);
+    } else if (source.documentName === "Actor") {
+        items = source.items.contents;
+    }
+    return items.filter(i => i.documentName === "Item" && isModification(i) && !i.getFlag('sw5e-mod-manager', 'isWrappedMod'));
+}
+
+function showBulkWrapPreview(source, items, { compendiumLabel = null } = {}) {
+    const sourceLabel = source.title ?? source.name;
+    const locked = !compendiumLabel && source instanceof CompendiumCollection && source.locked;
+    const rows = items.map(i => `<li>${i.name}${i.parent ? ` <span style="color: #777; font-size: 0.85em;">&mdash; ${i.parent.name}</span>` : ''}</li>`).join('');
+    const buttons = {};
+    if (items.length && !locked) {
+        buttons.wrap = {
+            label: `Wrap ${items.length}`,
+            icon: '<i class="fas fa-box"></i>',
+            callback: async () => showBulkWrapReport(await bulkWrapItems(items, { compendiumLabel }))
+        };
+    }
+    buttons.cancel = { label: "Cancel" };
+    new Dialog({
+        title: `Bulk Wrap: ${sourceLabel}`,
+        content: `
+            <p><strong>${items.length}</strong> item(s) in ${sourceLabel} will be wrapped ${compendiumLabel ? `into the new compendium <strong>${compendiumLabel}</strong>` : 'in place'}.</p>
+            ${locked ? '<p class="hint">This compendium is locked. Unlock it, or copy into a new compendium instead.</p>' : ''}
+            <ul style="max-height: 360px; overflow-y: auto;">${rows || '<li>No unwrapped modifications found.</li>'}</ul>
+        `,
+        buttons,
+        default: buttons.wrap ? "wrap" : "cancel"
+    }, { width: 420 }).render(true);
+}
+
+/**
+ * Wrap the items in batches, one create and one delete call per batch and container.
+ * Resolves to `{ wrapped, failures: [{ name, reason }], compendium }`.
+ */
+async function bulkWrapItems(items, { compendiumLabel = null } = {}) {
+    const report = { wrapped: 0, failures: [], compendium: null };
+    let targetPack = null;
+    if (compendiumLabel) {
+        try {
+            targetPack = await CompendiumCollection.createCompendium({ label: compendiumLabel, name: getFreePackName(compendiumLabel), type: "Item" });
+        } catch (err) {
+            items.forEach(i => report.failures.push({ name: i.name, reason: `The compendium could not be created: ${err.message}` }));
+            return report;
+        }
+        report.compendium = targetPack.title;
+    }
+
+    const groups = new Map();
+    for (const item of items) {
+        const key = item.parent?.uuid ?? item.pack ?? "world";
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+    }
+
+    let done = 0;
+    const progress = () => SceneNavigation.displayProgressBar({ label: `Wrapping modifications (${done} / ${items.length})`, pct: Math.round(done / Math.max(items.length, 1) * 100) });
+    progress();
+    for (const group of groups.values()) {
+        const first = group[0];
+        const context = targetPack ? { pack: targetPack.collection } : (first.parent ? { parent: first.parent } : { pack: first.pack ?? null });
+        if (!targetPack && (first.parent ?? first).compendium?.locked) {
+            group.forEach(i => report.failures.push({ name: i.name, reason: "The compendium is locked." }));
+            done += group.length;
+            progress();
+            continue;
+        }
+        for (let i = 0; i < group.length; i += BULK_WRAP_BATCH_SIZE) {
+            const batch = group.slice(i, i + BULK_WRAP_BATCH_SIZE);
+            const wrappers = batch.map(item => {
+                const wrapper = buildModWrapper(item.toObject());
+                wrapper.flags['sw5e-mod-manager'].wrappedFrom = item.uuid;
+                // In-place wraps keep their folder, in the sidebar or inside the compendium. The
+                // source id is used because a compendium item's folder is not always resolved
+                if (!targetPack && !item.parent) wrapper.folder = item._source.folder ?? null;
+                return wrapper;
+            });
+            let created = batch;
+            try {
+                await Item.createDocuments(wrappers, context);
+            } catch (err) {
+                // Retry one by one so a single bad item does not fail its whole batch, skipping
+                // any the failed batch did create
+                const existing = await findBulkWrapped(context, batch);
+                created = batch.filter(item => existing.has(item.uuid));
+                for (const [index, item] of batch.entries()) {
+                    if (existing.has(item.uuid)) continue;
+                    try {
+                        await Item.createDocuments([wrappers[index]], context);
+                        created.push(item);
+                    } catch (itemErr) {
+                        report.failures.push({ name: item.name, reason: itemErr.message });
+                    }
+                }
+            }
+            if (!targetPack && created.length) {
+                try {
+                    await Item.deleteDocuments(created.map(item => item.id), context);
+                } catch (err) {
+                    created.forEach(item => report.failures.push({ name: item.name, reason: `Wrapped copy created, but the original could not be deleted: ${err.message}` }));
+                    created = [];
+                }
+            }
+            report.wrapped += created.length;
+            done += batch.length;
+            progress();
+        }
+    }
+    return report;
+}
+
+/**
+ * A world compendium name derived from the label that no existing pack uses, so repeated runs
+ * with the default label do not collide.
+ */
+function getFreePackName(label) {
+    const base = label.slugify({ strict: true }) || "wrapped-mods";
+    let name = base;
+    for (let n = 2; game.packs.has(`world.${name}`); n++) name = `${base}-${n}`;
+    return name;
+}
+
+/**
+ * The source UUIDs, among the given items, that already have a wrapper in the destination.
+ */
+async function findBulkWrapped(context, items) {
+    const uuids = new Set(items.map(i => i.uuid));
+    const flag = 'flags.sw5e-mod-manager.wrappedFrom';
+    let sources;
+    if (context.parent) sources = context.parent.items.map(i => foundry.utils.getProperty(i, flag));
+    else if (context.pack) sources = (await game.packs.get(context.pack).getIndex({ fields: [flag] })).map(e => foundry.utils.getProperty(e, flag));
+    else sources = game.items.map(i => foundry.utils.getProperty(i, flag));
+    return new Set(sources.filter(uuid => uuids.has(uuid)));
+}
+
+function showBulkWrapReport(report) {
+    new Dialog({
+        title: "Bulk Wrap Report",
+        content: `
+            <p>Wrapped <strong>${report.wrapped}</strong> modification(s)${report.compendium ? ` into <strong>${report.compendium}</strong>` : ''}.</p>
+            ${report.failures.length ? `
+                <p>${report.failures.length} item(s) failed:</p>
+                <ul style="max-height: 300px; overflow-y: auto;">${report.failures.map(f => `<li>${f.name} <span style="color: #777; font-size: 0.85em;">&mdash; ${f.reason}</span></li>`).join('')}</ul>
+            ` : ''}
+        `,
+        buttons: { ok: { label: "OK" } }
+    }, { width: 420 }).render(true);
 }
 
+Hooks.on('getItemDirectoryFolderContext', (html, entryOptions) => {
+    entryOptions.push({
+        name: "Bulk Wrap Modifications",
+        icon: '<i class="fas fa-boxes"></i>',
+        condition: () => game.user.isGM,
+        callback: header => showBulkWrapDialog(game.folders.get(header.closest('.directory-item').data("folderId")))
+    });
+});
+
+Hooks.on('getCompendiumDirectoryEntryContext', (html, entryOptions) => {
+    entryOptions.push({
+        name: "Bulk Wrap Modifications",
+        icon: '<i class="fas fa-boxes"></i>',
+        condition: li => game.user.isGM && ["Item", "Actor"].includes(game.packs.get(li.data("pack"))?.documentName),
+        callback: li => showBulkWrapDialog(game.packs.get(li.data("pack")))
+    });
+});
+
 /**
  * Hook into the Item Sheet to add a "Modifications" tab
  */
 Hooks.on('renderItemSheet', (app, html, data) => {
     const item = app.item;
-    if (!['weapon', 'equipment'].includes(item.type)) return;
+    if (!isChassis(item)) return;
 
     const tabs = html.find('.tabs[data-group="primary"]');
     if (!tabs.find('[data-tab="mods"]').length) {
@@ -193,28 +862,39 @@ Hooks.on('renderItemSheet', (app, html, data) => {
 
     const modContent = $(`
         <div class="tab" data-group="primary" data-tab="mods">
+            ${renderModTab(item)}
+        </div>
+    `);
+
+    if (!html.find('.tab[data-tab="mods"]').length) {
+        html.find('.sheet-body').append(modContent);
+    }
+    activateModTabListeners(item, modContent);
+});
+
+/**
+ * The Modifications tab body. Shared by item sheets and the window used for actor chassis.
+ */
+function renderModTab(item) {
+    return `
         <div class="mod-slots-container">
             <div class="flexrow" style="align-items: center; margin-bottom: 10px;">
                 <h3 style="margin: 0;">Installed Modifications ${getSlotCountDisplay(item)}</h3>
+                ${game.user.isGM ? '<a class="mod-repair" title="Fix Chassis Data" style="flex: 0 0 20px; text-align: right;"><i class="fas fa-wrench"></i></a>' : ''}
+                ${game.user.isGM ? '<a class="mod-configure-slots" title="Configure Slot Layout" style="flex: 0 0 20px; text-align: right;"><i class="fas fa-th"></i></a>' : ''}
             </div>
             ${renderInjectedPropertiesHeader(item)}
-            <ol class="items-list">
-            <li class="item flexrow item-header">
-                <div class="item-name">Mod Name</div>
-                <div class="item-controls">Controls</div>
-            </li>
-            ${renderModList(item)}
-            </ol>
+            ${renderSlotGrid(item)}
+            ${renderJobList(item)}
+            ${renderLoadoutControls(item)}
+            ${renderHistory(item)}
             <p class="hint">Drag and drop modifications here to install them.</p>
-            <p class="hint">Bonuses and status effects shown in this tab are not automatically applied. You must do this yourself."</p>
+            ${item.documentName === "Item" ? '<p class="hint">Damage dice, attack/damage bonuses, range, AC and properties defined on a modification are applied to this chassis on install and reverted on removal.</p>' : ''}
         </div>
-        </div>
-    `);
-
-    if (!html.find('.tab[data-tab="mods"]').length) {
-        html.find('.sheet-body').append(modContent);
-    }
+    `;
+}
 
+function activateModTabListeners(item, modContent) {
     // Handle Drag & Drop
     modContent.on('drop', async (ev) => {
         const dropData = JSON.parse(ev.originalEvent.dataTransfer.getData('text/plain'));
@@ -226,33 +906,70 @@ Hooks.on('renderItemSheet', (app, html, data) => {
             return;
         }
 
-        if (!hasAvailableSlots(item)) {
-            ui.notifications.error("This chassis has no available modification slots.");
+        const check = canInstall(item, modItem);
+        if (!check.allowed) {
+            check.reasons.forEach(reason => ui.notifications.error(reason));
             return;
         }
 
-        if (!validateRarity(item, modItem)) return;
-
         showModActionDialog(item, modItem, 'install');
     });
 
     // Handle Removal
     modContent.find('.mod-delete').on('click', async (ev) => {
         const modId = $(ev.currentTarget).data('mod-id');
-        const mods = item.getFlag('sw5e-mod-manager', 'installedMods') || [];
-        const modData = mods.find(m => m.id === modId);
+        const modData = findInstalledMod(item, modId);
         if (modData) showModActionDialog(item, modData, 'remove');
     });
 
+    // Handle Effect Mode
+    modContent.find('.mod-effect-mode').on('change', (ev) => setModEffectMode(item, $(ev.currentTarget).data('mod-id'), ev.currentTarget.value));
+
+    // Handle Mod Repair
+    modContent.find('.mod-repair-mod').on('click', (ev) => {
+        const modData = findInstalledMod(item, $(ev.currentTarget).data('mod-id'));
+        if (modData) showModActionDialog(item, modData, 'repair');
+    });
+
+    // Handle Chassis Data Fix (GM only)
+    modContent.find('.mod-repair').on('click', async () => {
+        const report = await repairChassis(item);
+        showRepairReport(report);
+    });
+
+    // Handle Slot Layout Configuration (GM only)
+    modContent.find('.mod-configure-slots').on('click', () => showSlotLayoutDialog(item));
+
+    // Handle Crafting Jobs
+    modContent.find('.mod-job-log').on('click', (ev) => showLogHoursDialog(item, $(ev.currentTarget).data('job-id')));
+    modContent.find('.mod-job-finish').on('click', (ev) => {
+        const job = (item.getFlag('sw5e-mod-manager', 'jobs') || []).find(j => j.id === $(ev.currentTarget).data('job-id'));
+        if (job) advanceModJobs(item, Infinity, job.id);
+    });
+    modContent.find('.mod-job-cancel').on('click', (ev) => cancelModJob(item, $(ev.currentTarget).data('job-id')));
+
+    // Handle Loadouts
+    modContent.find('.mod-loadout-save').on('click', () => showSaveLoadoutDialog(item));
+    modContent.find('.mod-loadout-switch').on('click', () => {
+        const loadoutId = modContent.find('.mod-loadout-select').val();
+        if (loadoutId) showLoadoutSwitchDialog(item, loadoutId);
+    });
+    modContent.find('.mod-loadout-delete').on('click', () => {
+        const loadoutId = modContent.find('.mod-loadout-select').val();
+        if (loadoutId) deleteLoadout(item, loadoutId);
+    });
+
+    // Handle History Undo (GM only)
+    modContent.find('.mod-history-undo').on('click', (ev) => undoHistoryEntry(item, $(ev.currentTarget).data('history-id')));
+
     // Handle Chat Posting
     modContent.find('.mod-chat').on('click', async (ev) => {
         const modId = $(ev.currentTarget).data('mod-id');
-        const mods = item.getFlag('sw5e-mod-manager', 'installedMods') || [];
-        const modData = mods.find(m => m.id === modId);
+        const modData = findInstalledMod(item, modId);
         if (modData?.originalData) {
             const chatData = {
                 user: game.user.id,
-                speaker: ChatMessage.getSpeaker({actor: item.actor}),
+                speaker: ChatMessage.getSpeaker({actor: getChassisActor(item)}),
                 content: `
                     <div class="dnd5e chat-card item-card">
                         <header class="card-header flexrow">
@@ -264,7 +981,7 @@ Hooks.on('renderItemSheet', (app, html, data) => {
                         </div>
                         <footer class="card-footer">
                             <span>Installed on: ${item.name}</span>
-                            <span>Rarity: ${modData.rarity}</span>
+                            <span>Rarity: ${getRarityLabel(modData.rarity)}</span>
                         </footer>
                     </div>
                 `
@@ -288,53 +1005,580 @@ Hooks.on('renderItemSheet', (app, html, data) => {
             icon.removeClass('fa-chevron-right').addClass('fa-chevron-down');
         }
     });
+}
+
+/**
+ * Chassis Kinds
+ * Every kind of document that can hold modifications is registered with how to recognise it,
+ * the typed slots it has besides its rarity's augment slots, the tool rolled to modify it and
+ * whether its mods' effects transfer from the item to the owning actor. Kinds are matched in
+ * registration order, so the specific kinds come before the catch-all ones. A document can
+ * also name its kind in `flags.sw5e-mod-manager.chassisKind`.
+ */
+const CHASSIS_KINDS = new Map();
+
+/**
+ * Options: label, documentName ("Item" or "Actor"), matches(doc), slots ({ slotType: count }),
+ * useRarity (add the rarity's augment slots and apply the rarity limit; items only by default),
+ * tool (default check tool key) and transfer (whether effects pass from the item to its owner).
+ */
+function registerChassisKind(id, { label, documentName = "Item", matches, slots = {}, useRarity = documentName === "Item", tool = "", transfer = documentName === "Item" } = {}) {
+    const kind = { id, label: label ?? formatSlotLabel(id), documentName, matches: matches ?? (() => false), slots, useRarity, tool, transfer };
+    CHASSIS_KINDS.set(id, kind);
+    return kind;
+}
+
+registerChassisKind("weapon", {
+    label: "Weapon",
+    matches: item => item.type === "weapon",
+    tool: "weaponsmith"
+});
+registerChassisKind("armor", {
+    label: "Armor",
+    matches: item => item.type === "equipment" && ["light", "medium", "heavy"].includes(item.system.type?.value),
+    slots: { armoring: 1, overlay: 1, reinforcement: 1, underlay: 1 },
+    tool: "armormech"
+});
+registerChassisKind("shield", {
+    label: "Shield",
+    matches: item => item.type === "equipment" && item.system.type?.value === "shield",
+    slots: { overlay: 1, reinforcement: 1 },
+    tool: "armormech"
+});
+registerChassisKind("forceFocus", {
+    label: "Force Focus",
+    matches: item => item.type === "equipment" && (item.system.type?.value === "focusgenerator" || !!item.system.properties?.has?.("foc")),
+    tool: "artificer"
+});
+registerChassisKind("techFocus", {
+    label: "Tech Focus",
+    matches: item => item.type === "equipment" && item.system.type?.value === "wristpad",
+    tool: "artificer"
+});
+registerChassisKind("equipment", {
+    label: "Equipment",
+    matches: item => item.type === "equipment",
+    tool: "armormech"
+});
+registerChassisKind("droid", {
+    label: "Droid",
+    documentName: "Actor",
+    matches: actor => actor.system.details?.type?.value === "droid" || isDroidSpecies(actor),
+    slots: { part: 2, protocol: 2 },
+    tool: "astrotech"
+});
+registerChassisKind("cybernetic", {
+    label: "Cybernetics",
+    documentName: "Actor",
+    // Opt-in: the world setting, or `flags.sw5e-mod-manager.chassisKind` set to "cybernetic"
+    matches: actor => actor.type === "character" && game.settings.get('sw5e-mod-manager', 'cyberneticCharacters'),
+    slots: { enhancement: 2, replacement: 2 },
+    tool: "cybertech"
 });
 
 /**
- * Slot Validation Helpers
+ * Whether an actor's species is one of the configured droid species identifiers.
  */
-function getSlotCountDisplay(item) {
-    const mods = item.getFlag('sw5e-mod-manager', 'installedMods') || [];
-    const rarity = (item.system.rarity || "common").toLowerCase().replace(/\s/g, '');
-    // Fetch the specific numeric setting for this rarity
-    const max = game.settings.get('sw5e-mod-manager', `slots-${rarity}`) ?? 2;
-    return `<span style="font-size: 0.8em; color: #666; font-weight: normal;">(${mods.length} / ${max} slots)</span>`;
+function isDroidSpecies(actor) {
+    const species = actor.system.details?.race;
+    const identifier = species?.system?.identifier ?? String(species?.name ?? species ?? "").slugify({ strict: true });
+    if (!identifier) return false;
+    const droidSpecies = (game.settings.get('sw5e-mod-manager', 'droidSpecies') || "").split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+    return droidSpecies.includes(identifier.toLowerCase());
 }
 
-function hasAvailableSlots(item) {
-    const mods = item.getFlag('sw5e-mod-manager', 'installedMods') || [];
-    const rarity = (item.system.rarity || "common").toLowerCase().replace(/\s/g, '');
-    // Fetch the specific numeric setting for this rarity
-    const max = game.settings.get('sw5e-mod-manager', `slots-${rarity}`) ?? 2;
-    return mods.length < max;
+function getChassisKind(doc) {
+    if (!doc?.documentName) return null;
+    const declared = CHASSIS_KINDS.get(doc.getFlag?.('sw5e-mod-manager', 'chassisKind'));
+    if (declared?.documentName === doc.documentName) return declared;
+    for (const kind of CHASSIS_KINDS.values()) {
+        if (kind.documentName === doc.documentName && kind.matches(doc)) return kind;
+    }
+    return null;
 }
 
-function renderInjectedPropertiesHeader(item) {
+/**
+ * Whether a document can hold modifications.
+ */
+function isChassis(doc) {
+    return !!getChassisKind(doc);
+}
+
+/**
+ * The actor that owns a chassis: the item's owner, or the actor itself for actor chassis.
+ */
+function getChassisActor(chassis) {
+    return chassis?.documentName === "Actor" ? chassis : chassis?.actor ?? null;
+}
+
+/**
+ * The actor who rolls the check. Actor chassis are worked on by the requesting user's
+ * character when they have one, and otherwise by the actor itself.
+ */
+function getCheckActor(chassis, requestedBy = null) {
+    if (chassis.documentName !== "Actor") return chassis.actor;
+    const user = game.users.get(requestedBy) ?? game.user;
+    return user.character ?? chassis;
+}
+
+/**
+ * Rarity Tiers
+ * Every rarity rule (default slots, the install rank limit, check DCs and crafting hours) reads
+ * from the `rarityTiers` setting. An item's rarity matches a tier by its key or any of its aliases.
+ */
+const DEFAULT_RARITY_TIERS = [
+    { key: "common", label: "Common / Standard", rank: 1, slots: 2, dc: 10, hours: 1, aliases: ["standard"] },
+    { key: "uncommon", label: "Uncommon / Premium", rank: 2, slots: 3, dc: 14, hours: 2, aliases: ["premium"] },
+    { key: "rare", label: "Rare / Prototype", rank: 3, slots: 4, dc: 18, hours: 4, aliases: ["prototype"] },
+    { key: "veryrare", label: "Very Rare / Advanced", rank: 4, slots: 5, dc: 22, hours: 8, aliases: ["advanced"] },
+    { key: "legendary", label: "Legendary", rank: 5, slots: 6, dc: 26, hours: 16, aliases: [] },
+    { key: "artifact", label: "Artifact", rank: 6, slots: 8, dc: 30, hours: 32, aliases: [] }
+];
+
+function normalizeRarityKey(rarity) {
+    return String(rarity ?? "").toLowerCase().replace(/[\s_-]/g, '') || "common";
+}
+
+function cleanRarityTier(tier) {
+    const key = normalizeRarityKey(tier.key);
+    const aliases = Array.isArray(tier.aliases) ? tier.aliases : String(tier.aliases || "").split(',');
+    return {
+        key,
+        label: String(tier.label || "").trim() || formatSlotLabel(key),
+        rank: Number(tier.rank) || 0,
+        slots: Math.max(Number(tier.slots) || 0, 0),
+        dc: Number(tier.dc) || 10,
+        hours: Math.max(Number(tier.hours) || 0, 0),
+        aliases: [...new Set(aliases.filter(a => String(a).trim()).map(normalizeRarityKey))].filter(a => a !== key)
+    };
+}
+
+function getRarityTiers() {
+    const stored = game.settings.get('sw5e-mod-manager', 'rarityTiers');
+    const tiers = (Array.isArray(stored) ? stored : []).filter(t => String(t?.key || "").trim()).map(cleanRarityTier);
+    return (tiers.length ? tiers : DEFAULT_RARITY_TIERS.map(cleanRarityTier)).sort((a, b) => a.rank - b.rank);
+}
+
+/**
+ * The tier for a rarity, or null when no tier key or alias matches it.
+ */
+function getRarityTier(rarity) {
+    const key = normalizeRarityKey(rarity);
+    return getRarityTiers().find(t => t.key === key || t.aliases.includes(key)) || null;
+}
+
+/**
+ * Like getRarityTier, but falls back to the lowest tier for unknown rarities and warns once
+ * per rarity so a missing homebrew tier does not go unnoticed.
+ */
+const warnedRarities = new Set();
+function resolveRarityTier(rarity) {
+    const tier = getRarityTier(rarity);
+    if (tier) return tier;
+    const key = normalizeRarityKey(rarity);
+    if (!warnedRarities.has(key)) {
+        warnedRarities.add(key);
+        const message = `SW5e Mod Manager | Unknown rarity "${rarity}", using the lowest rarity tier. Add it in the Rarity Tiers settings.`;
+        console.warn(message);
+        if (game.user?.isGM) ui.notifications?.warn(message);
+    }
+    return getRarityTiers()[0];
+}
+
+function getRarityKey(rarity) {
+    return getRarityTier(rarity)?.key ?? normalizeRarityKey(rarity);
+}
+
+function getRarityLabel(rarity) {
+    return getRarityTier(rarity)?.label ?? formatSlotLabel(normalizeRarityKey(rarity));
+}
+
+/**
+ * Settings menu entry that opens the rarity tier table.
+ */
+class RarityTiersMenu extends FormApplication {
+    render() {
+        showRarityTiersDialog(getRarityTiers());
+        return this;
+    }
+}
+
+function renderRarityTierRow(tier) {
+    return `
+        <tr class="rarity-tier-row">
+            <td><input type="text" name="key" value="${tier.key}" /></td>
+            <td><input type="text" name="label" value="${tier.label}" /></td>
+            <td><input type="number" name="rank" value="${tier.rank}" /></td>
+            <td><input type="number" name="slots" value="${tier.slots}" min="0" /></td>
+            <td><input type="number" name="dc" value="${tier.dc}" /></td>
+            <td><input type="number" name="hours" value="${tier.hours}" min="0" step="any" /></td>
+            <td><input type="text" name="aliases" value="${tier.aliases.join(', ')}" /></td>
+            <td><a class="rarity-tier-delete" title="Delete Tier"><i class="fas fa-trash"></i></a></td>
+        </tr>
+    `;
+}
+
+function showRarityTiersDialog(tiers) {
+    new Dialog({
+        title: "Rarity Tiers",
+        content: `
+            <p>Each item rarity matches the tier with that key or alias. A mod can only be installed on a chassis of the same or a higher rank. Slots is the number of augment slots a chassis gets when it does not declare its own layout.</p>
+            <table class="sw5e-rarity-tiers">
+                <thead><tr><th>Key</th><th>Label</th><th>Rank</th><th>Slots</th><th>DC</th><th>Hours</th><th>Aliases</th><th></th></tr></thead>
+                <tbody>${tiers.map(renderRarityTierRow).join('')}</tbody>
+            </table>
+            <button type="button" class="rarity-tier-add"><i class="fas fa-plus"></i> Add Tier</button>
+        `,
+        buttons: {
+            save: {
+                label: "Save",
+                callback: html => saveRarityTiers(html.find('.rarity-tier-row').toArray().map(row => {
+                    const tier = {};
+                    $(row).find('input').each((i, input) => tier[input.name] = input.value);
+                    return tier;
+                }))
+            },
+            reset: {
+                label: "Reset to Defaults",
+                callback: () => showRarityTiersDialog(DEFAULT_RARITY_TIERS.map(cleanRarityTier))
+            },
+            cancel: { label: "Cancel" }
+        },
+        default: "save",
+        render: html => {
+            html.on('click', '.rarity-tier-delete', ev => $(ev.currentTarget).closest('tr').remove());
+            html.find('.rarity-tier-add').click(() => {
+                const rank = Math.max(0, ...html.find('input[name="rank"]').toArray().map(i => Number(i.value) || 0)) + 1;
+                html.find('.sw5e-rarity-tiers tbody').append(renderRarityTierRow({ key: "", label: "", rank, slots: 2, dc: 10, hours: 1, aliases: [] }));
+            });
+        }
+    }, { width: 720 }).render(true);
+}
+
+async function saveRarityTiers(rows) {
+    const tiers = [];
+    const used = new Set();
+    for (const row of rows.filter(r => String(r.key || "").trim())) {
+        const tier = cleanRarityTier(row);
+        const clash = [tier.key, ...tier.aliases].find(k => used.has(k));
+        if (clash) {
+            ui.notifications.warn(`SW5e Mod Manager | Rarity "${clash}" is used by more than one tier; the "${tier.label}" tier was not saved.`);
+            continue;
+        }
+        [tier.key, ...tier.aliases].forEach(k => used.add(k));
+        tiers.push(tier);
+    }
+    if (!tiers.length) return ui.notifications.error("SW5e Mod Manager | At least one rarity tier is needed.");
+    await game.settings.set('sw5e-mod-manager', 'rarityTiers', tiers);
+    warnedRarities.clear();
+    ui.notifications.info(`SW5e Mod Manager | Saved ${tiers.length} rarity tiers.`);
+}
+
+/**
+ * Builds the rarity tiers from the old per-rarity slot settings and the DC and hours tables,
+ * the first time a world runs with the tier table. Rarities only listed in the old tables
+ * become tiers of their own.
+ */
+async function migrateRaritySettings() {
+    if (game.settings.storage.get("world").getSetting('sw5e-mod-manager.rarityTiers')) return;
+    const dcs = parseRarityTable('dcTable');
+    const hours = parseRarityTable('hoursTable');
+    const fields = ["slots", "dc", "hours"];
+    const tiers = [];
+    for (const tier of DEFAULT_RARITY_TIERS) {
+        const values = key => ({
+            slots: game.settings.get('sw5e-mod-manager', `slots-${key}`) ?? tier.slots,
+            dc: dcs[key] ?? tier.dc,
+            hours: hours[key] ?? tier.hours
+        });
+        const merged = values(tier.key);
+        const aliases = [];
+        const split = [];
+        for (const alias of tier.aliases) {
+            const own = values(alias);
+            // An alias customised apart from its tier in a way that conflicts becomes a tier of its own
+            if (fields.some(f => own[f] !== merged[f] && own[f] !== tier[f] && merged[f] !== tier[f])) {
+                split.push({ key: alias, label: formatSlotLabel(alias), rank: tier.rank, ...own, aliases: [] });
+                continue;
+            }
+            // Otherwise its customised values carry into the tier
+            fields.forEach(f => { if (own[f] !== tier[f]) merged[f] = own[f]; });
+            aliases.push(alias);
+        }
+        const label = split.length ? tier.label.split(' / ')[0] : tier.label;
+        tiers.push({ ...tier, label, ...merged, aliases }, ...split);
+    }
+    const known = new Set(tiers.flatMap(t => [t.key, ...t.aliases]));
+    for (const key of new Set([...Object.keys(dcs), ...Object.keys(hours)])) {
+        if (known.has(key)) continue;
+        tiers.push({ key, label: formatSlotLabel(key), rank: 1, slots: 2, dc: dcs[key] ?? 10, hours: hours[key] ?? 1, aliases: [] });
+    }
+    await game.settings.set('sw5e-mod-manager', 'rarityTiers', tiers);
+    console.log("SW5e Mod Manager | Migrated rarity settings to the rarity tiers table.");
+}
+
+/**
+ * Slot Validation Helpers
+ * A chassis declares its layout in `flags.sw5e-mod-manager.slotLayout` as `{ slotType: count }`.
+ * Without a declared layout it gets its chassis kind's slots plus, for item kinds, the
+ * per-rarity number of generic "augment" slots.
+ * A mod declares its slot type in `flags.sw5e-mod-manager.slot` (or `system.type.subtype`).
+ */
+function normalizeSlotKey(key) {
+    return String(key || "").toLowerCase().replace(/\s/g, '');
+}
+
+function formatSlotLabel(key) {
+    return key.charAt(0).toUpperCase() + key.slice(1);
+}
+
+function getSlotLayout(item) {
+    const declared = item.getFlag('sw5e-mod-manager', 'slotLayout');
+    if (declared && !foundry.utils.isEmpty(declared)) {
+        const layout = {};
+        for (let [key, count] of Object.entries(declared)) {
+            const slotKey = normalizeSlotKey(key);
+            if (slotKey && Number(count) > 0) layout[slotKey] = Number(count);
+        }
+        return layout;
+    }
+    const kind = getChassisKind(item);
+    const layout = { ...(kind?.slots || {}) };
+    if (kind?.useRarity ?? true) layout.augment = resolveRarityTier(item.system.rarity).slots;
+    return layout;
+}
+
+function getModSlot(mod) {
+    const original = getModOriginalData(mod);
+    const declared = getModFlag(mod, 'slot') || mod.system?.type?.subtype || original?.system?.type?.subtype;
+    return declared ? normalizeSlotKey(declared) : "augment";
+}
+
+function getSlotUsage(item) {
+    const mods = item.getFlag('sw5e-mod-manager', 'installedMods') || [];
+    const usage = {};
+    mods.forEach(m => {
+        const slot = m.slot || "augment";
+        usage[slot] = (usage[slot] || 0) + 1;
+    });
+    // Installs still in progress already claim their slot
+    const jobs = item.getFlag('sw5e-mod-manager', 'jobs') || [];
+    jobs.filter(j => j.action === 'install').forEach(j => {
+        const slot = j.slot || "augment";
+        usage[slot] = (usage[slot] || 0) + 1;
+    });
+    return usage;
+}
+
+function getSlotCountDisplay(item) {
     const mods = item.getFlag('sw5e-mod-manager', 'installedMods') || [];
-    const allProps = mods.flatMap(m => m.properties || []);
-    if (allProps.length === 0) return "";
-    const uniqueProps = [...new Set(allProps)];
+    const max = Object.values(getSlotLayout(item)).reduce((total, count) => total + count, 0);
+    return `<span style="font-size: 0.8em; color: #666; font-weight: normal;">(${mods.length} / ${max} slots)</span>`;
+}
+
+function getSlotError(item, mod) {
+    const layout = getSlotLayout(item);
+    const slot = getModSlot(mod);
+    if (!layout[slot]) return `${item.name} has no ${formatSlotLabel(slot)} slot for ${mod.name}.`;
+    const used = getSlotUsage(item)[slot] || 0;
+    if (used >= layout[slot]) {
+        return `The ${formatSlotLabel(slot)} slot${layout[slot] > 1 ? 's' : ''} on ${item.name} ${layout[slot] > 1 ? 'are' : 'is'} full.`;
+    }
+    return null;
+}
+
+function showSlotLayoutDialog(item) {
+    const layout = getSlotLayout(item);
+    const current = Object.entries(layout).map(([key, count]) => `${key}: ${count}`).join(', ');
+    new Dialog({
+        title: `Slot Layout: ${item.name}`,
+        content: `
+            <p>List each slot type and how many of it this chassis has, separated by commas.</p>
+            <div class="form-group">
+                <input type="text" id="slot-layout" value="${current}" placeholder="barrel: 1, core: 1, grip: 1, targeting: 1" style="width: 100%;" />
+            </div>
+            <p class="hint" style="font-size: 0.8em;">Leave empty to use the default number of augment slots for this chassis rarity.</p>
+        `,
+        buttons: {
+            save: {
+                label: "Save",
+                callback: async (html) => {
+                    const raw = html.find('#slot-layout').val().trim();
+                    if (!raw) return item.unsetFlag('sw5e-mod-manager', 'slotLayout');
+                    const newLayout = {};
+                    raw.split(',').forEach(part => {
+                        const [key, count] = part.split(':').map(s => s.trim());
+                        const slotKey = normalizeSlotKey(key);
+                        if (slotKey) newLayout[slotKey] = Math.max(Number(count ?? 1) || 0, 0);
+                    });
+                    // Replace the whole object so removed slot types do not linger
+                    await item.unsetFlag('sw5e-mod-manager', 'slotLayout');
+                    await item.setFlag('sw5e-mod-manager', 'slotLayout', newLayout);
+                }
+            },
+            cancel: { label: "Cancel" }
+        },
+        default: "save"
+    }).render(true);
+}
+
+function renderInjectedPropertiesHeader(item) {
+    const sources = getPropertySources(item);
+    const modProps = [...sources.entries()].filter(([p, names]) => names.some(n => n !== "Native"));
+    if (modProps.length === 0) return "";
     return `
         <div class="injected-props" style="margin-bottom: 10px; display: flex; gap: 5px; flex-wrap: wrap; border-bottom: 1px solid #c9c7b8; padding-bottom: 10px;">
             <span style="font-weight: bold; font-size: 0.8em; align-self: center; margin-right: 5px;">Active Tags:</span>
-            ${uniqueProps.map(p => `<span style="background: #222; color: #00ffcc; border: 1px solid #00ffcc; padding: 1px 8px; border-radius: 4px; font-size: 0.75em; text-transform: uppercase; font-family: 'Signika', sans-serif;"><i class="fas fa-microchip" style="font-size: 0.8em;"></i> ${p}</span>`).join('')}
+            ${modProps.map(([p, names]) => `<span data-tooltip="From: ${names.join(', ')}" style="background: #222; color: #00ffcc; border: 1px solid #00ffcc; padding: 1px 8px; border-radius: 4px; font-size: 0.75em; text-transform: uppercase; font-family: 'Signika', sans-serif;"><i class="fas fa-microchip" style="font-size: 0.8em;"></i> ${p} <span style="text-transform: none; color: #9e9e9e;">(${names.join(', ')})</span></span>`).join('')}
         </div>
     `;
 }
 
-function validateRarity(chassis, mod) {
-    const rarityScale = {
-        "common": 1, "standard": 1, "uncommon": 2, "premium": 2, "rare": 3, "prototype": 3, "veryrare": 4, "advanced": 4, "legendary": 5, "artifact": 6
+/**
+ * Property Provenance Helpers
+ * The chassis remembers the properties it had before any mod (`baseProperties`), and each
+ * installed entry lists the properties it contributed. A property is only stripped on removal
+ * when neither the chassis nor another installed mod still provides it.
+ */
+function getChassisProperties(chassis) {
+    return Array.isArray(chassis.system.properties) ? chassis.system.properties : Array.from(chassis.system.properties || []);
+}
+
+function getBaseProperties(chassis) {
+    const stored = chassis.getFlag('sw5e-mod-manager', 'baseProperties');
+    if (stored) return stored;
+    // Chassis modified before provenance was tracked: assume everything no mod lists is native
+    const mods = chassis.getFlag('sw5e-mod-manager', 'installedMods') || [];
+    const provided = new Set(mods.filter(isModWorking).flatMap(m => m.properties || []));
+    return getChassisProperties(chassis).filter(p => !provided.has(p));
+}
+
+function getPropertySources(chassis) {
+    const sources = new Map();
+    const add = (prop, name) => {
+        if (!sources.has(prop)) sources.set(prop, []);
+        sources.get(prop).push(name);
     };
-    const chassisRarityStr = (chassis.system.rarity || "common").toLowerCase().replace(/\s/g, '');
-    const modRarityStr = (mod.system.rarity || "common").toLowerCase().replace(/\s/g, '');
-    const chassisRank = rarityScale[chassisRarityStr] || 1;
-    const modRank = rarityScale[modRarityStr] || 1;
-    if (modRank > chassisRank) {
-        ui.notifications.error(`Cannot install ${modRarityStr} modification on a ${chassisRarityStr} chassis.`);
-        return false;
+    getBaseProperties(chassis).forEach(p => add(p, "Native"));
+    const mods = chassis.getFlag('sw5e-mod-manager', 'installedMods') || [];
+    // Damaged and broken mods have their properties suspended
+    mods.filter(isModWorking).forEach(m => (m.properties || []).forEach(p => add(p, m.name)));
+    return sources;
+}
+
+/**
+ * Keep the native property record in sync when someone edits the properties of a modified chassis by hand.
+ */
+Hooks.on('preUpdateItem', (item, changes, options) => {
+    if (options.sw5eModManager) return;
+    const newProps = foundry.utils.getProperty(changes, 'system.properties');
+    const stored = item.getFlag('sw5e-mod-manager', 'baseProperties');
+    if (!newProps || !stored) return;
+    const next = new Set(newProps);
+    const mods = item.getFlag('sw5e-mod-manager', 'installedMods') || [];
+    const provided = new Set(mods.filter(isModWorking).flatMap(m => m.properties || []));
+    const base = [...new Set([...stored.filter(p => next.has(p)), ...[...next].filter(p => !provided.has(p))])];
+    foundry.utils.setProperty(changes, 'flags.sw5e-mod-manager.baseProperties', base);
+});
+
+function getRarityError(chassis, mod) {
+    // Actor chassis have no rarity to compare against
+    if (getChassisKind(chassis)?.useRarity === false) return null;
+    const chassisTier = getRarityTier(chassis.system.rarity);
+    const modTier = getRarityTier(mod.system?.rarity);
+    if (!chassisTier) return `Unknown chassis rarity "${chassis.system.rarity}". Add it to the rarity tiers in the module settings.`;
+    if (!modTier) return `Unknown modification rarity "${mod.system.rarity}". Add it to the rarity tiers in the module settings.`;
+    if (modTier.rank > chassisTier.rank) return `Cannot install ${modTier.label} modification on a ${chassisTier.label} chassis.`;
+    return null;
+}
+
+/**
+ * Runs every install rule against a chassis and mod without side effects.
+ * Returns the reasons the install is blocked so callers can decide how to report them.
+ */
+function canInstall(chassis, mod) {
+    const reasons = [];
+    if (!isModification(mod)) {
+        reasons.push(`"${mod?.name}" does not appear to be a valid SW5e modification.`);
+        return { allowed: false, reasons };
     }
-    return true;
+    const slotError = getSlotError(chassis, mod);
+    if (slotError) reasons.push(slotError);
+    const rarityError = getRarityError(chassis, mod);
+    if (rarityError) reasons.push(rarityError);
+    reasons.push(...getCompatibilityErrors(chassis, mod));
+    return { allowed: reasons.length === 0, reasons };
+}
+
+/**
+ * Compatibility Rules
+ * Mods declare `flags.sw5e-mod-manager.rules`:
+ *   requires: { chassisTypes: ["weapon"], weaponCategories: ["martialB"], properties: ["amm"] }
+ *                                  chassisTypes match the chassis kind (e.g. "armor", "droid") or item type
+ *   group: "power-cell"            exclusivity group; conflicts with any other mod of the same group
+ *   excludes: ["power-cell", ...]  groups or identifiers this mod cannot be installed alongside
+ *   unique: true                   only one copy per chassis (defaults to the "Unique Mods" setting)
+ */
+function getModRules(mod) {
+    return getModFlag(mod, 'rules') || {};
+}
+
+function getModIdentifier(mod) {
+    const original = getModOriginalData(mod);
+    return mod.system?.identifier || original?.system?.identifier || (mod.name || "").slugify({ strict: true });
+}
+
+/**
+ * Everything installed on, or being installed on, the chassis, in a common shape for rule checks.
+ */
+function getOccupyingMods(chassis) {
+    const mods = (chassis.getFlag('sw5e-mod-manager', 'installedMods') || []).map(m => ({ name: m.name, identifier: getModIdentifier(m), rules: getModRules(m) }));
+    const jobs = (chassis.getFlag('sw5e-mod-manager', 'jobs') || []).filter(j => j.action === 'install').map(j => ({ name: j.modName, identifier: j.identifier, rules: j.rules || {} }));
+    return [...mods, ...jobs];
+}
+
+function getCompatibilityErrors(chassis, mod) {
+    const errors = [];
+    const rules = getModRules(mod);
+    const requires = rules.requires || {};
+    const identifier = getModIdentifier(mod);
+
+    const kind = getChassisKind(chassis);
+    if (requires.chassisTypes?.length && !requires.chassisTypes.includes(chassis.type) && !requires.chassisTypes.includes(kind?.id)) {
+        errors.push(`${mod.name} requires a ${requires.chassisTypes.join(' or ')} chassis; ${chassis.name} is ${kind?.label.toLowerCase() ?? chassis.type}.`);
+    }
+    const category = chassis.system.type?.value;
+    if (requires.weaponCategories?.length && !requires.weaponCategories.includes(category)) {
+        const label = key => CONFIG.DND5E?.weaponTypes?.[key] ?? key;
+        errors.push(`${mod.name} requires a ${requires.weaponCategories.map(label).join(' or ')} chassis; ${chassis.name} is ${label(category) || 'uncategorized'}.`);
+    }
+    if (requires.properties?.length) {
+        const props = getChassisProperties(chassis);
+        const missing = requires.properties.filter(p => !props.includes(p));
+        const label = key => CONFIG.DND5E?.itemProperties?.[key]?.label ?? key;
+        if (missing.length) errors.push(`${mod.name} requires ${chassis.name} to have the ${missing.map(label).join(', ')} propert${missing.length > 1 ? 'ies' : 'y'}.`);
+    }
+
+    const unique = rules.unique ?? game.settings.get('sw5e-mod-manager', 'uniqueMods');
+    const occupying = getOccupyingMods(chassis);
+    for (const other of occupying) {
+        if (unique && other.identifier === identifier) {
+            errors.push(`${mod.name} is already installed on ${chassis.name} and only one copy is allowed.`);
+            continue;
+        }
+        if (rules.group && rules.group === other.rules.group) {
+            errors.push(`${mod.name} conflicts with ${other.name}: both are ${rules.group} mods.`);
+            continue;
+        }
+        const excluded = (rules.excludes || []).find(e => e === other.identifier || e === other.rules.group);
+        if (excluded) {
+            errors.push(`${mod.name} cannot be installed alongside ${other.name} (excludes ${excluded}).`);
+            continue;
+        }
+        const excludedBy = (other.rules.excludes || []).find(e => e === identifier || (rules.group && e === rules.group));
+        if (excludedBy) errors.push(`${other.name} on ${chassis.name} does not allow ${mod.name} (excludes ${excludedBy}).`);
+    }
+    return errors;
 }
 
 function renderEffectChanges(effects) {
@@ -359,156 +1603,2317 @@ function renderEffectChanges(effects) {
     `;
 }
 
-function renderModList(item) {
-    const mods = item.getFlag('sw5e-mod-manager', 'installedMods') || [];
-    if (mods.length === 0) return '<li class="item flexrow">No mods installed.</li>';
-    return mods.map(m => `
-        <li class="item flexcol" data-mod-id="${m.id}" style="border-bottom: 1px solid #c9c7b8;">
+function renderModCell(m, chassis) {
+    return `
+        <li class="item flexcol mod-slot filled" data-mod-id="${getInstallKey(m)}">
         <div class="flexrow" style="padding: 5px 0;">
             <div class="item-name" style="cursor: pointer; flex: 1;">
                 <i class="fas fa-chevron-right" style="font-size: 0.7em;"></i> <strong>${m.name}</strong>
+                ${renderModEffectBadge(chassis, m)}
+                ${isModWorking(m) ? '' : `<span class="mod-condition ${getModCondition(m)}">${MOD_CONDITIONS[getModCondition(m)]}</span>`}
             </div>
-            <div class="item-controls" style="flex: 0 0 60px; text-align: right;">
-                <a class="mod-chat" data-mod-id="${m.id}" title="Post to Chat" style="margin-right: 8px;"><i class="fas fa-comment"></i></a>
-                <a class="mod-delete" data-mod-id="${m.id}" title="Uninstall"><i class="fas fa-tools"></i></a>
+            <div class="item-controls" style="flex: 0 0 ${isModWorking(m) ? 40 : 60}px; text-align: right;">
+                ${isModWorking(m) ? '' : `<a class="mod-repair-mod" data-mod-id="${getInstallKey(m)}" title="Repair Mod" style="margin-right: 8px;"><i class="fas fa-screwdriver"></i></a>`}
+                <a class="mod-chat" data-mod-id="${getInstallKey(m)}" title="Post to Chat" style="margin-right: 8px;"><i class="fas fa-comment"></i></a>
+                <a class="mod-delete" data-mod-id="${getInstallKey(m)}" title="Uninstall"><i class="fas fa-tools"></i></a>
             </div>
         </div>
-        <div class="item-summary" style="display: none; padding: 8px 20px; font-size: 0.85em; background: rgba(0,0,0,0.03);">
+        <div class="item-summary" style="display: none; padding: 8px; font-size: 0.85em; background: rgba(0,0,0,0.03);">
             <div class="mod-description">${m.originalData?.system?.description?.value || "No description available."}</div>
             ${renderEffectChanges(m.effects)}
+            ${renderModEffectStates(chassis, m)}
+            ${renderStatChanges(m.applied)}
             ${m.properties?.length ? `<div style="margin-top: 10px; color: #444; font-size: 0.9em; border-top: 1px dashed #ccc; padding-top: 5px;"><strong>Properties Injected:</strong> ${m.properties.join(', ')}</div>` : ''}
         </div>
         </li>
-    `).join('');
+    `;
+}
+
+function renderSlotGrid(item) {
+    const mods = item.getFlag('sw5e-mod-manager', 'installedMods') || [];
+    const layout = getSlotLayout(item);
+    const groups = Object.entries(layout).map(([slot, count]) => {
+        const slotted = mods.filter(m => (m.slot || "augment") === slot);
+        const cells = [];
+        for (let i = 0; i < Math.max(count, slotted.length); i++) {
+            cells.push(slotted[i] ? renderModCell(slotted[i], item) : `<li class="mod-slot empty"><i class="fas fa-plus-circle"></i> Empty</li>`);
+        }
+        return `
+            <div class="mod-slot-group">
+                <div class="mod-slot-label">${formatSlotLabel(slot)} <span>(${slotted.length} / ${count})</span></div>
+                <ol class="mod-slot-grid">${cells.join('')}</ol>
+            </div>
+        `;
+    });
+    // Mods left in slot types the layout no longer declares stay visible so they can be removed
+    const orphaned = mods.filter(m => !layout[m.slot || "augment"]);
+    if (orphaned.length) {
+        groups.push(`
+            <div class="mod-slot-group">
+                <div class="mod-slot-label">Unslotted</div>
+                <ol class="mod-slot-grid">${orphaned.map(m => renderModCell(m, item)).join('')}</ol>
+            </div>
+        `);
+    }
+    return `<div class="mod-slot-layout">${groups.join('')}</div>`;
 }
 
 async function showModActionDialog(chassis, mod, actionType) {
     const isInstall = actionType === 'install';
-    const title = isInstall ? `Install ${mod.name}` : `Remove ${mod.name}`;
-    const rarities = { 'common': 10, 'standard': 10, 'uncommon': 14, 'premium': 14, 'rare': 18, 'prototype': 18, 'veryrare': 22, 'advanced': 22, 'legendary': 26, 'artifact': 30 };
-    const rarityKey = (mod.system?.rarity || mod.rarity || 'common').toLowerCase().replace(/\s/g, '');
-    const dc = rarities[rarityKey] || 14;
+    const isRepair = actionType === 'repair';
+    const title = `${formatSlotLabel(actionType)} ${mod.name}`;
+    const dc = isRepair ? getRepairDC(mod) : getModDC(mod);
+    const tool = getCheckTool(chassis);
     
-    let content = `<p>How would you like to ${isInstall ? 'install' : 'remove'} this modification?</p>`;
-    content += `<p><strong>Required DC:</strong> ${dc} (Intelligence + Tools)</p>`;
+    let content = `<p>How would you like to ${actionType} this modification?</p>`;
+    content += `<p><strong>Required DC:</strong> ${dc} (${tool ? getToolLabel(tool) : game.settings.get('sw5e-mod-manager', 'checkFormula')})</p>`;
+    const margin = game.settings.get('sw5e-mod-manager', 'malfunctionMargin');
+    if (margin > 0) {
+        content += `<p class="hint" style="font-size: 0.8em;">Missing the DC by ${margin} or more, or rolling a natural 1, damages the modification.</p>`;
+    }
+    if (isRepair) {
+        const currency = game.settings.get('sw5e-mod-manager', 'currency') || "gp";
+        content += `<p><strong>Condition:</strong> ${MOD_CONDITIONS[getModCondition(mod)]} &middot; <strong>Cost:</strong> ${getRepairCost(mod, currency)} ${currency}${canUseDirect() ? ' (free when Direct)' : ''}</p>`;
+    }
     
-    if (!isInstall) {
+    if (actionType === 'remove') {
         content += `
             <div class="form-group" style="display: flex; align-items: center; gap: 10px; margin-top: 10px; padding: 10px; background: rgba(0,0,0,0.05); border-radius: 4px;">
                 <label for="destroy-on-failure" style="flex: 1; font-weight: bold;">Destroy on failure?</label>
                 <input type="checkbox" id="destroy-on-failure" checked style="width: 18px; height: 18px; cursor: pointer;" />
             </div>
-            <p class="hint" style="font-size: 0.8em; margin-top: 5px;">If unchecked, a failed roll keeps the mod on the weapon.</p>
+            <p class="hint" style="font-size: 0.8em; margin-top: 5px;">If unchecked, a failed roll keeps the mod installed.</p>
         `;
     }
 
+    if (needsApproval()) {
+        content += `<p class="hint" style="font-size: 0.8em;"><i class="fas fa-user-shield"></i> Your request will be sent to the GM for approval.</p>`;
+    }
+
+    const buttons = {
+        roll: {
+            label: "Roll Check",
+            callback: (html) => {
+                // Retrieve checkbox state
+                const destroyOnFail = !isInstall && html.find('#destroy-on-failure').is(':checked');
+                dispatchModAction(chassis, mod, actionType, { direct: false, destroyOnFail });
+            }
+        }
+    };
+    if (canUseDirect()) {
+        buttons.direct = { 
+            label: "Direct (Skip Roll)", 
+            callback: () => dispatchModAction(chassis, mod, actionType, { direct: true })
+        };
+    }
+    buttons.cancel = { label: "Cancel" };
+
     new Dialog({
         title: title,
         content: content,
-        buttons: {
-            roll: {
-                label: "Roll Check",
-                callback: async (html) => {
-                    const actor = chassis.actor;
-                    if (!actor) return;
-                    
-                    // Retrieve checkbox state
-                    const destroyOnFail = !isInstall && html.find('#destroy-on-failure').is(':checked');
-                    
-                    // Correct Roll evaluation for V12 (awaiting evaluate() without the deprecated async option)
-                    const roll = await new Roll("1d20 + @abilities.int.mod + @prof", actor.getRollData()).evaluate();
-                    roll.toMessage({ flavor: `${title} - Skill Check (DC ${dc})` });
-                    
-                    if (roll.total >= dc) {
-                        ui.notifications.info("Success!");
-                        isInstall ? performInstall(chassis, mod) : performRemove(chassis, mod.id, true);
-                    } else {
-                        if (isInstall) {
-                            ui.notifications.warn("Installation failed.");
-                        } else {
-                            if (destroyOnFail) {
-                                ui.notifications.error("Failure! The modification was destroyed during removal.");
-                                performRemove(chassis, mod.id, false);
-                            } else {
-                                ui.notifications.warn("Uninstall failed. The modification remains installed on the weapon.");
-                            }
-                        }
-                    }
-                }
-            },
-            direct: { 
-                label: "Direct (Skip Roll)", 
-                callback: () => { 
-                    isInstall ? performInstall(chassis, mod) : performRemove(chassis, mod.id, true); 
-                } 
-            },
-            cancel: { label: "Cancel" }
-        },
+        buttons: buttons,
         default: "roll"
     }).render(true);
 }
 
-function getInjectedProperties(mod) {
-    const knownProperties = ['brutal', 'keen', 'vicious', 'defensive', 'shielding', 'vibration', 'ion', 'reach', 'versatile', 'biting', 'corruption', 'disarming', 'disruptive', 'electrified', 'hidden', 'penetrating', 'rapid', 'shocking', 'silent'];
-    const found = [];
-    const nameLower = mod.name.toLowerCase();
-    knownProperties.forEach(p => { if (nameLower.includes(p)) found.push(p); });
-    if (mod.system?.properties) { Object.keys(mod.system.properties).forEach(p => { if (mod.system.properties[p] === true) found.push(p); }); }
-    return found;
+/**
+ * Rolls the check (unless direct) and applies the outcome. Runs on whichever client
+ * executes the action: the requesting user's, or the GM's for approved requests.
+ * Resolves to the check result, or null if nothing was attempted.
+ */
+async function executeModAction(chassis, mod, actionType, { direct = false, destroyOnFail = false, requestedBy = null, approvedBy = null } = {}) {
+    if (actionType === 'repair') return executeModRepair(chassis, mod, { direct, requestedBy, approvedBy });
+    const isInstall = actionType === 'install';
+    const dc = getModDC(mod);
+
+    if (direct) {
+        const result = { roll: null, dc, success: true, direct: true, requestedBy, approvedBy };
+        await commitModAction(chassis, mod, actionType, result);
+        return result;
+    }
+
+    const actor = getCheckActor(chassis, requestedBy);
+    if (!actor) return null;
+
+    const title = isInstall ? `Install ${mod.name}` : `Remove ${mod.name}`;
+    const roll = await rollModCheck(actor, chassis, dc, `${title} - Check (DC ${dc})`);
+    if (!roll) return null;
+    const result = { roll, dc, success: roll.total >= dc, direct: false, requestedBy, approvedBy };
+    
+    if (result.success) {
+        ui.notifications.info("Success!");
+        await commitModAction(chassis, mod, actionType, result);
+    } else {
+        result.malfunction = isMalfunction(result);
+        if (isInstall) {
+            // Only a mod in the chassis owner's inventory is damaged, never a sidebar or compendium item
+            if (result.malfunction && mod.parent && mod.parent.uuid === getChassisActor(chassis)?.uuid) {
+                ui.notifications.error(`Installation failed badly. ${mod.name} was damaged.`);
+                await mod.setFlag('sw5e-mod-manager', 'condition', worsenCondition(getModCondition(mod)));
+            } else {
+                ui.notifications.warn("Installation failed.");
+            }
+            await recordHistory(chassis, result, { action: 'install', modName: mod.name, outcome: result.malfunction ? 'damaged' : 'failed' });
+        } else {
+            if (destroyOnFail) {
+                ui.notifications.error("Failure! The modification was destroyed during removal.");
+                await performRemove(chassis, getInstallKey(mod), false, result);
+            } else if (result.malfunction) {
+                const condition = worsenCondition(getModCondition(mod));
+                ui.notifications.error(`Uninstall failed badly. ${mod.name} remains installed and is now ${condition}.`);
+                await setModCondition(chassis, getInstallKey(mod), condition);
+                await recordHistory(chassis, result, { action: 'remove', modName: mod.name, outcome: condition });
+            } else {
+                ui.notifications.warn("Uninstall failed. The modification remains installed.");
+                await recordHistory(chassis, result, { action: 'remove', modName: mod.name, outcome: 'failed' });
+            }
+        }
+    }
+    return result;
 }
 
-async function performInstall(chassis, mod) {
-    const currentMods = chassis.getFlag('sw5e-mod-manager', 'installedMods') || [];
-    const injectedProps = getInjectedProperties(mod);
-    let modData = mod.toObject();
-    if (mod.getFlag('sw5e-mod-manager', 'isWrappedMod')) {
-        modData = mod.getFlag('sw5e-mod-manager', 'originalModData');
+/**
+ * Applies a successful action immediately, or queues it as a crafting job when time tracking is on.
+ */
+async function commitModAction(chassis, mod, actionType, result) {
+    if (game.settings.get('sw5e-mod-manager', 'trackCrafting')) return startModJob(chassis, mod, actionType, result);
+    return actionType === 'install' ? performInstall(chassis, mod, result) : performRemove(chassis, getInstallKey(mod), true, result);
+}
+
+/**
+ * Permission & Approval Helpers
+ */
+function canUseDirect(user = game.user) {
+    return user.isGM || user.role >= game.settings.get('sw5e-mod-manager', 'directRole');
+}
+
+function needsApproval(user = game.user) {
+    return !user.isGM && game.settings.get('sw5e-mod-manager', 'requireApproval');
+}
+
+async function dispatchModAction(chassis, mod, actionType, options = {}) {
+    // Users allowed to skip the roll may also skip approval when they do so
+    if (needsApproval() && !(options.direct && canUseDirect())) {
+        return requestModApproval(chassis, mod, actionType, options);
     }
-    let modEffects = [];
-    if (mod.effects && typeof mod.effects.map === "function") { modEffects = mod.effects.map(e => e.toObject()); } 
-    else if (mod.effects && mod.effects.contents) { modEffects = mod.effects.contents.map(e => e.toObject()); }
-    const processedEffects = modEffects.map(effect => {
-        effect.transfer = true; 
-        effect.origin = chassis.uuid; 
-        effect.flags = foundry.utils.mergeObject(effect.flags || {}, { "sw5e-mod-manager": { sourceMod: mod.id } });
-        return effect;
+    return executeModAction(chassis, mod, actionType, options);
+}
+
+/**
+ * SOCKET: Player requests are relayed to the active GM, who answers with the outcome.
+ */
+const SOCKET_NAME = 'module.sw5e-mod-manager';
+
+Hooks.once('ready', () => {
+    game.socket.on(SOCKET_NAME, handleSocketMessage);
+});
+
+function requestModApproval(chassis, mod, actionType, { direct = false, destroyOnFail = false } = {}) {
+    if (!game.users.activeGM) {
+        ui.notifications.warn("No GM is connected to approve this request.");
+        return null;
+    }
+    const isInstall = actionType === 'install';
+    game.socket.emit(SOCKET_NAME, {
+        type: 'modRequest',
+        requestId: foundry.utils.randomID(),
+        userId: game.user.id,
+        action: actionType,
+        chassisUuid: chassis.uuid,
+        modUuid: isInstall ? mod.uuid : null,
+        modId: isInstall ? null : getInstallKey(mod),
+        direct,
+        destroyOnFail
     });
-    const newModData = { id: mod.id, name: mod.name, uuid: mod.uuid, rarity: mod.system.rarity, originalData: modData, properties: injectedProps, effects: processedEffects };
-    const updatedMods = [...currentMods, newModData];
-    await chassis.setFlag('sw5e-mod-manager', 'installedMods', updatedMods);
-    if (processedEffects.length > 0) {
-        try { await chassis.createEmbeddedDocuments("ActiveEffect", processedEffects); } catch (err) { console.error("SW5e Mod Manager | Active Effects Error:", err); }
+    ui.notifications.info(`Your request to ${actionType} ${mod.name} was sent to the GM for approval.`);
+    return null;
+}
+
+/**
+ * A loadout switch is sent for approval as a single request, so the GM runs its removals and
+ * installs in order on their client.
+ */
+function requestLoadoutApproval(chassis, loadout, { direct = false } = {}) {
+    if (!game.users.activeGM) {
+        ui.notifications.warn("No GM is connected to approve this request.");
+        return false;
     }
-    if (injectedProps.length > 0) {
-        const currentProps = Array.isArray(chassis.system.properties) ? chassis.system.properties : Array.from(chassis.system.properties || []);
-        const newProps = [...new Set([...currentProps, ...injectedProps])];
-        await chassis.update({ "system.properties": newProps });
+    game.socket.emit(SOCKET_NAME, {
+        type: 'loadoutRequest',
+        requestId: foundry.utils.randomID(),
+        userId: game.user.id,
+        chassisUuid: chassis.uuid,
+        loadoutId: loadout.id,
+        direct
+    });
+    ui.notifications.info(`Your request to switch ${chassis.name} to the ${loadout.name} loadout was sent to the GM for approval.`);
+    return true;
+}
+
+function respondToModRequest(request, approved, message) {
+    game.socket.emit(SOCKET_NAME, { type: 'modResponse', requestId: request.requestId, userId: request.userId, approved, message });
+}
+
+async function handleSocketMessage(data) {
+    if (data?.type === 'modRequest') {
+        if (game.users.activeGM?.isSelf) await showApprovalDialog(data);
+    } else if (data?.type === 'loadoutRequest') {
+        if (game.users.activeGM?.isSelf) await showLoadoutApprovalDialog(data);
+    } else if (data?.type === 'modResponse') {
+        if (data.userId !== game.user.id) return;
+        data.approved ? ui.notifications.info(data.message) : ui.notifications.warn(data.message);
     }
-    if (chassis.actor) {
-        const itemInInv = chassis.actor.items.get(mod.id);
-        if (itemInInv) await itemInInv.delete();
+}
+
+async function showApprovalDialog(request) {
+    const requester = game.users.get(request.userId);
+    const chassis = await fromUuid(request.chassisUuid);
+    const isInstall = request.action === 'install';
+    const mod = isInstall ? await fromUuid(request.modUuid) : (chassis ? findInstalledMod(chassis, request.modId) : null);
+    if (!requester || !chassis || !mod) {
+        respondToModRequest(request, false, "The GM could not find the chassis or modification for your request.");
+        return;
     }
-    ui.notifications.info(`${mod.name} installed.`);
+    // Never trust the requesting client on permissions
+    const direct = request.direct && canUseDirect(requester);
+    const method = direct ? "without a check" : "with a check";
+
+    let answered = false;
+    new Dialog({
+        title: `Approve ${{ install: 'Install', remove: 'Removal', repair: 'Repair' }[request.action]}: ${mod.name}`,
+        content: `
+            <p><strong>${requester.name}</strong> wants to ${request.action} <strong>${mod.name}</strong> ${isInstall ? 'on' : (request.action === 'repair' ? 'installed on' : 'from')} <strong>${chassis.name}</strong> ${method}.</p>
+            ${request.action === 'remove' && !direct ? `<p>Destroy on failure: <strong>${request.destroyOnFail ? 'Yes' : 'No'}</strong></p>` : ''}
+        `,
+        buttons: {
+            approve: {
+                label: "Approve",
+                icon: '<i class="fas fa-check"></i>',
+                callback: async () => {
+                    answered = true;
+                    if (isInstall) {
+                        const check = canInstall(chassis, mod);
+                        if (!check.allowed) {
+                            respondToModRequest(request, false, check.reasons.join(' '));
+                            return;
+                        }
+                    }
+                    const result = await executeModAction(chassis, mod, request.action, { direct, destroyOnFail: request.destroyOnFail, requestedBy: request.userId, approvedBy: game.user.name });
+                    if (!result) respondToModRequest(request, false, `The check for ${mod.name} was not completed.`);
+                    else respondToModRequest(request, true, `The GM approved your request. ${mod.name}: ${result.success ? 'success' : 'failed'}.`);
+                }
+            },
+            reject: {
+                label: "Reject",
+                icon: '<i class="fas fa-times"></i>',
+                callback: () => {
+                    answered = true;
+                    respondToModRequest(request, false, `The GM rejected your request to ${request.action} ${mod.name}.`);
+                }
+            }
+        },
+        default: "approve",
+        close: () => {
+            if (!answered) respondToModRequest(request, false, `The GM rejected your request to ${request.action} ${mod.name}.`);
+        }
+    }).render(true);
 }
 
-async function performRemove(chassis, modId, isSalvaged) {
-    const currentMods = chassis.getFlag('sw5e-mod-manager', 'installedMods') || [];
-    const modToRemoval = currentMods.find(m => m.id === modId);
-    const updatedMods = currentMods.filter(m => m.id !== modId);
-    await chassis.setFlag('sw5e-mod-manager', 'installedMods', updatedMods);
-    const effectsToDelete = chassis.effects.filter(e => e.getFlag('sw5e-mod-manager', 'sourceMod') === modId);
-    if (effectsToDelete.length > 0) { await chassis.deleteEmbeddedDocuments("ActiveEffect", effectsToDelete.map(e => e.id)); }
-    if (modToRemoval?.properties?.length > 0) {
-        const currentProps = Array.isArray(chassis.system.properties) ? chassis.system.properties : Array.from(chassis.system.properties || []);
-        const filteredProps = currentProps.filter(p => !modToRemoval.properties.includes(p));
-        await chassis.update({ "system.properties": filteredProps });
-    }
-    if (isSalvaged && chassis.actor && modToRemoval?.originalData) {
-        const originalModData = modToRemoval.originalData;
-        const lootWrapper = { name: originalModData.name, type: "loot", img: originalModData.img, system: { description: originalModData.system.description, rarity: originalModData.system.rarity, weight: originalModData.system.weight || 0, price: originalModData.system.price || 0 }, flags: { "sw5e-mod-manager": { isWrappedMod: true, originalModData: originalModData } } };
-        await chassis.actor.createEmbeddedDocuments("Item", [lootWrapper]);
-        ui.notifications.info(`${modToRemoval.name} salvaged.`);
-    } else if (!isSalvaged) { 
-        ui.notifications.warn(`${modToRemoval.name} destroyed.`); 
+async function showLoadoutApprovalDialog(request) {
+    const requester = game.users.get(request.userId);
+    const chassis = await fromUuid(request.chassisUuid);
+    const loadout = chassis ? getLoadouts(chassis).find(l => l.id === request.loadoutId) : null;
+    if (!requester || !chassis || !loadout) {
+        respondToModRequest(request, false, "The GM could not find the chassis or loadout for your request.");
+        return;
     }
-}
\ No newline at end of file
+    // Never trust the requesting client on permissions
+    const direct = request.direct && canUseDirect(requester);
+    const plan = planLoadoutSwitch(chassis, loadout);
+    const list = (label, names) => names.length ? `<p><strong>${label}:</strong> ${names.map(escapeModText).join(', ')}</p>` : '';
+
+    let answered = false;
+    new Dialog({
+        title: `Approve Loadout: ${loadout.name}`,
+        content: `
+            <p><strong>${escapeModText(requester.name)}</strong> wants to switch <strong>${escapeModText(chassis.name)}</strong> to the <strong>${escapeModText(loadout.name)}</strong> loadout ${direct ? "without checks" : "with checks"}.</p>
+            ${list("Remove", plan.toRemove.map(m => m.name))}
+            ${list("Install", plan.toInstall.map(m => m.name))}
+        `,
+        buttons: {
+            approve: {
+                label: "Approve",
+                icon: '<i class="fas fa-check"></i>',
+                callback: async () => {
+                    answered = true;
+                    const report = await switchLoadout(chassis, loadout, { direct, requestedBy: request.userId, approvedBy: game.user.name });
+                    respondToModRequest(request, true, `The GM approved your switch to the ${loadout.name} loadout. ${report.failed.length ? `${report.failed.length} change(s) failed.` : ''}`.trim());
+                }
+            },
+            reject: {
+                label: "Reject",
+                icon: '<i class="fas fa-times"></i>',
+                callback: () => {
+                    answered = true;
+                    respondToModRequest(request, false, `The GM rejected your switch to the ${loadout.name} loadout.`);
+                }
+            }
+        },
+        default: "approve",
+        close: () => {
+            if (!answered) respondToModRequest(request, false, `The GM rejected your switch to the ${loadout.name} loadout.`);
+        }
+    }).render(true);
+}
+
+/**
+ * Check Helpers
+ * The DC comes from the mod's rarity tier. Checks go through the DnD5e tool check
+ * pipeline when a tool is configured for the chassis kind, so proficiency, expertise,
+ * advantage and roll bonuses apply; otherwise the configured formula is rolled.
+ */
+function parseRarityTable(settingKey) {
+    const table = {};
+    const raw = game.settings.get('sw5e-mod-manager', settingKey) || "";
+    raw.split(',').forEach(pair => {
+        const [key, value] = pair.split('=').map(s => s.trim());
+        const dc = Number(value);
+        if (key && Number.isFinite(dc)) table[normalizeRarityKey(key)] = dc;
+    });
+    return table;
+}
+
+function getModDC(mod) {
+    return resolveRarityTier(mod.system?.rarity || mod.rarity).dc;
+}
+
+function getCheckTool(chassis) {
+    const kind = getChassisKind(chassis);
+    if (!kind) return null;
+    // Kinds registered after init have no setting and use their own default
+    const key = `sw5e-mod-manager.tool-${kind.id}`;
+    const tool = (game.settings.settings.has(key) ? game.settings.get('sw5e-mod-manager', `tool-${kind.id}`) : kind.tool)?.trim();
+    if (!tool) return null;
+    // Only use tools the system knows about or the actor has configured
+    if (!CONFIG.DND5E?.tools?.[tool] && !getChassisActor(chassis)?.system?.tools?.[tool]) return null;
+    return tool;
+}
+
+function getToolLabel(tool) {
+    return dnd5e.documents?.Trait?.keyLabel?.(tool, { trait: "tool" }) || tool;
+}
+
+let modCheckQueue = Promise.resolve();
+
+/**
+ * Checks run one after another, so a loadout switch or a batch of approvals never opens
+ * several roll dialogs at once.
+ */
+function rollModCheck(actor, chassis, dc, flavor) {
+    const roll = modCheckQueue.then(() => rollModCheckNow(actor, chassis, dc, flavor));
+    modCheckQueue = roll.catch(() => null);
+    return roll;
+}
+
+async function rollModCheckNow(actor, chassis, dc, flavor) {
+    const tool = getCheckTool(chassis);
+    if (tool && typeof actor.rollToolCheck === "function") {
+        const rolls = await actor.rollToolCheck({ tool, target: dc }, {}, { data: { flavor } });
+        // DnD5e 4.1+ resolves to an array of rolls, null when the roll dialog is closed
+        return Array.isArray(rolls) ? rolls[0] ?? null : rolls ?? null;
+    }
+    const formula = game.settings.get('sw5e-mod-manager', 'checkFormula') || "1d20 + @abilities.int.mod + @prof";
+    // Correct Roll evaluation for V12 (awaiting evaluate() without the deprecated async option)
+    const roll = await new Roll(formula, actor.getRollData()).evaluate();
+    await roll.toMessage({ speaker: ChatMessage.getSpeaker({ actor }), flavor });
+    return roll;
+}
+
+function getInjectedProperties(mod) {
+    const knownProperties = ['brutal', 'keen', 'vicious', 'defensive', 'shielding', 'vibration', 'ion', 'reach', 'versatile', 'biting', 'corruption', 'disarming', 'disruptive', 'electrified', 'hidden', 'penetrating', 'rapid', 'shocking', 'silent'];
+    const found = [];
+    const nameLower = mod.name.toLowerCase();
+    knownProperties.forEach(p => { if (nameLower.includes(p)) found.push(p); });
+    if (mod.system?.properties) { Object.keys(mod.system.properties).forEach(p => { if (mod.system.properties[p] === true) found.push(p); }); }
+    const statProps = getModStats(mod).properties || [];
+    statProps.forEach(p => found.push(p));
+    return [...new Set(found)];
+}
+
+/**
+ * Stat Modifier Helpers
+ * Mods describe their mechanical changes in `flags.sw5e-mod-manager.stats`, either on the
+ * item itself or on the wrapped original data. Every change actually made to the chassis is
+ * recorded on the installed entry so removal can undo exactly that much.
+ */
+const DIE_STEPS = [4, 6, 8, 10, 12];
+
+/**
+ * Mod definition flags can live on the item, on its wrapped original data, or on the
+ * snapshot stored in an installed entry. These read whichever is present.
+ */
+function getModOriginalData(mod) {
+    return mod.getFlag?.('sw5e-mod-manager', 'originalModData') ?? mod.flags?.['sw5e-mod-manager']?.originalModData ?? mod.originalData;
+}
+
+function getModFlag(mod, key) {
+    const own = mod.getFlag?.('sw5e-mod-manager', key) ?? mod.flags?.['sw5e-mod-manager']?.[key];
+    if (own !== undefined && own !== null) return own;
+    return getModOriginalData(mod)?.flags?.['sw5e-mod-manager']?.[key];
+}
+
+function getModStats(mod) {
+    return getModFlag(mod, 'stats') || {};
+}
+
+function isNumericTerm(term) {
+    return term === "" || /^[+-]?\d+$/.test(term);
+}
+
+function addFormulaTerm(formula, term) {
+    const current = String(formula ?? "").trim();
+    const addition = String(term ?? "").trim();
+    if (!addition) return current;
+    if (isNumericTerm(current) && isNumericTerm(addition)) {
+        const total = Number(current || 0) + Number(addition);
+        return total === 0 ? "" : String(total);
+    }
+    return current ? `${current} + ${addition}` : addition;
+}
+
+function removeFormulaTerm(formula, term) {
+    const current = String(formula ?? "").trim();
+    const removal = String(term ?? "").trim();
+    if (!removal) return current;
+    if (isNumericTerm(current) && isNumericTerm(removal)) {
+        const total = Number(current || 0) - Number(removal);
+        return total === 0 ? "" : String(total);
+    }
+    if (current === removal) return "";
+    const suffix = ` + ${removal}`;
+    let index = current.lastIndexOf(suffix);
+    // Only match whole terms so removing "1" never eats the start of "1d6"
+    while (index !== -1 && !/^(\s|$)/.test(current.slice(index + suffix.length))) {
+        index = index > 0 ? current.lastIndexOf(suffix, index - 1) : -1;
+    }
+    if (index !== -1) return (current.slice(0, index) + current.slice(index + suffix.length)).trim();
+    // A numeric bonus may have been merged into a leading constant (e.g. "3 + 1d4")
+    const leading = isNumericTerm(removal) ? current.match(/^([+-]?\d+)\s*\+\s*(.+)$/) : null;
+    if (leading) {
+        const rest = Number(leading[1]) - Number(removal);
+        return rest === 0 ? leading[2] : `${rest} + ${leading[2]}`;
+    }
+    console.warn(`SW5e Mod Manager | Could not find "${removal}" in formula "${current}" to remove.`);
+    return current;
+}
+
+function stepDie(denomination, steps) {
+    const index = DIE_STEPS.indexOf(Number(denomination));
+    if (index === -1 || !steps) return { denomination, applied: 0 };
+    const target = Math.min(Math.max(index + steps, 0), DIE_STEPS.length - 1);
+    return { denomination: DIE_STEPS[target], applied: target - index };
+}
+
+function getAttackActivities(chassis) {
+    const activities = chassis._source.system.activities;
+    if (!activities) return [];
+    const list = typeof activities.filter === "function" ? activities.filter(a => a.type === "attack") : Object.values(activities).filter(a => a.type === "attack");
+    return list.map(a => ({ id: a.id ?? a._id, bonus: a.attack?.bonus ?? "" }));
+}
+
+/**
+ * Build the chassis update for a set of mod stats and record what was really applied.
+ * Values are read from the source data: prepared values already include magical bonuses and
+ * effects, and writing them back would bake those in.
+ */
+function computeStatChanges(chassis, stats) {
+    const updates = {};
+    const applied = {};
+    const system = chassis._source.system;
+
+    if (stats.damageDice && system.damage?.base) {
+        const result = stepDie(system.damage.base.denomination, Number(stats.damageDice));
+        if (result.applied) {
+            updates["system.damage.base.denomination"] = result.denomination;
+            applied.damageDice = result.applied;
+        }
+        if (system.damage.versatile?.denomination) {
+            const versatile = stepDie(system.damage.versatile.denomination, Number(stats.damageDice));
+            if (versatile.applied) {
+                updates["system.damage.versatile.denomination"] = versatile.denomination;
+                applied.versatileDice = versatile.applied;
+            }
+        }
+    }
+
+    if (stats.damageBonus && system.damage?.base) {
+        updates["system.damage.base.bonus"] = addFormulaTerm(system.damage.base.bonus, stats.damageBonus);
+        applied.damageBonus = String(stats.damageBonus);
+    }
+
+    if (stats.attackBonus) {
+        const activities = getAttackActivities(chassis);
+        activities.forEach(a => { updates[`system.activities.${a.id}.attack.bonus`] = addFormulaTerm(a.bonus, stats.attackBonus); });
+        if (activities.length) applied.attackBonus = { value: String(stats.attackBonus), activities: activities.map(a => a.id) };
+    }
+
+    if ((stats.range || stats.longRange) && system.range) {
+        if (stats.range) {
+            updates["system.range.value"] = (Number(system.range.value) || 0) + Number(stats.range);
+            applied.range = Number(stats.range);
+        }
+        if (stats.longRange) {
+            updates["system.range.long"] = (Number(system.range.long) || 0) + Number(stats.longRange);
+            applied.longRange = Number(stats.longRange);
+        }
+    }
+
+    if (stats.ac && system.armor) {
+        updates["system.armor.value"] = (Number(system.armor.value) || 0) + Number(stats.ac);
+        applied.ac = Number(stats.ac);
+    }
+
+    return { updates, applied };
+}
+
+/**
+ * Build the chassis update that reverses a previously recorded set of applied changes.
+ */
+function computeStatReversal(chassis, applied) {
+    const updates = {};
+    if (!applied) return updates;
+    const system = chassis._source.system;
+
+    if (applied.damageDice && system.damage?.base) {
+        updates["system.damage.base.denomination"] = stepDie(system.damage.base.denomination, -applied.damageDice).denomination;
+    }
+    if (applied.versatileDice && system.damage?.versatile) {
+        updates["system.damage.versatile.denomination"] = stepDie(system.damage.versatile.denomination, -applied.versatileDice).denomination;
+    }
+    if (applied.damageBonus && system.damage?.base) {
+        updates["system.damage.base.bonus"] = removeFormulaTerm(system.damage.base.bonus, applied.damageBonus);
+    }
+    if (applied.attackBonus) {
+        const activities = getAttackActivities(chassis).filter(a => applied.attackBonus.activities.includes(a.id));
+        activities.forEach(a => { updates[`system.activities.${a.id}.attack.bonus`] = removeFormulaTerm(a.bonus, applied.attackBonus.value); });
+    }
+    if (applied.range && system.range) updates["system.range.value"] = (Number(system.range.value) || 0) - applied.range;
+    if (applied.longRange && system.range) updates["system.range.long"] = (Number(system.range.long) || 0) - applied.longRange;
+    if (applied.ac && system.armor) updates["system.armor.value"] = (Number(system.armor.value) || 0) - applied.ac;
+    return updates;
+}
+
+function renderStatChanges(applied) {
+    if (!applied || foundry.utils.isEmpty(applied)) return "";
+    const labels = [];
+    if (applied.damageDice) labels.push(`Damage die ${applied.damageDice > 0 ? '+' : ''}${applied.damageDice} step${Math.abs(applied.damageDice) === 1 ? '' : 's'}`);
+    if (applied.attackBonus) labels.push(`Attack +${applied.attackBonus.value}`);
+    if (applied.damageBonus) labels.push(`Damage +${applied.damageBonus}`);
+    if (applied.range) labels.push(`Range ${applied.range > 0 ? '+' : ''}${applied.range}`);
+    if (applied.longRange) labels.push(`Long Range ${applied.longRange > 0 ? '+' : ''}${applied.longRange}`);
+    if (applied.ac) labels.push(`AC ${applied.ac > 0 ? '+' : ''}${applied.ac}`);
+    return `<div style="margin-top: 10px; color: #444; font-size: 0.9em; border-top: 1px dashed #ccc; padding-top: 5px;"><strong>Stats Applied:</strong> ${labels.join(', ')}</div>`;
+}
+
+/**
+ * EFFECT MODES
+ * Mod effects on an item chassis follow its equipped and attuned state by default. A mod can
+ * declare `flags.sw5e-mod-manager.effectMode` ("equipped", "always" or "onHit"), and the mode of
+ * an installed mod can be changed on the Modifications tab. "On hit" effects do not transfer to
+ * the owner; they are added to the chassis' attack activities to be applied to targets instead.
+ */
+const EFFECT_MODES = { equipped: "While Equipped", always: "Always On", onHit: "On Hit Only" };
+
+function getModEffectMode(mod) {
+    const mode = mod.effectMode ?? getModFlag(mod, 'effectMode');
+    return EFFECT_MODES[mode] ? mode : "equipped";
+}
+
+function isChassisActive(item) {
+    const attunementRequired = ["required", 1].includes(item.system.attunement);
+    return item.system.equipped !== false && !(attunementRequired && !item.system.attuned);
+}
+
+function patchEffectSuppression() {
+    const proto = CONFIG.ActiveEffect.documentClass?.prototype;
+    if (typeof proto?.determineSuppression !== "function") return;
+    const original = proto.determineSuppression;
+    proto.determineSuppression = function(...args) {
+        const outcome = original.apply(this, args);
+        const item = this.parent;
+        if (!this.getFlag('sw5e-mod-manager', 'installId')) return outcome;
+        // Damaged and broken mods stay suspended on any chassis
+        if ((this.getFlag('sw5e-mod-manager', 'condition') ?? "working") !== "working") {
+            this.isSuppressed = true;
+            return outcome;
+        }
+        if (item?.documentName !== "Item") return outcome;
+        const mode = this.getFlag('sw5e-mod-manager', 'effectMode') ?? "equipped";
+        const suppressedBySystem = !!this.isSuppressed;
+        if (mode === "always") {
+            // Only lift the system's equipped and attuned reasons; anything else (e.g. an unidentified item) still applies
+            this.isSuppressed = suppressedBySystem && (isChassisActive(item) || item.system.identified === false);
+        } else {
+            this.isSuppressed = suppressedBySystem || !isChassisActive(item);
+        }
+        return outcome;
+    };
+}
+
+function getModEffectState(effect) {
+    if (effect.disabled) return { key: "disabled", label: "Disabled" };
+    if ((effect.getFlag('sw5e-mod-manager', 'condition') ?? "working") !== "working") return { key: "suspended", label: "Suspended" };
+    if (effect.getFlag('sw5e-mod-manager', 'effectMode') === "onHit") return { key: "onhit", label: "On Hit" };
+    if (effect.isSuppressed) return { key: "suppressed", label: "Suppressed" };
+    return { key: "active", label: "Active" };
+}
+
+function renderModEffectBadge(chassis, m) {
+    const states = getInstalledModEffects(chassis, m).map(getModEffectState);
+    if (!states.length) return "";
+    const state = states.find(st => st.key === "active") ?? states[0];
+    return `<span class="mod-effect-state ${state.key}">${state.label}</span>`;
+}
+
+function renderModEffectStates(chassis, m) {
+    const effects = getInstalledModEffects(chassis, m);
+    const canEdit = chassis.documentName === "Item" && chassis.isOwner;
+    if (!effects.length && !canEdit) return "";
+    const mode = getModEffectMode(m);
+    return `
+        <div class="mod-effect-states" style="margin-top: 8px; border-top: 1px dashed #ccc; padding-top: 5px;">
+            ${canEdit ? `
+                <label class="flexrow" style="align-items: center; gap: 5px; margin-bottom: 3px;">
+                    <span style="flex: 0 0 auto; font-weight: bold;">Effects:</span>
+                    <select class="mod-effect-mode" data-mod-id="${getInstallKey(m)}">
+                        ${Object.entries(EFFECT_MODES).map(([key, label]) => `<option value="${key}" ${key === mode ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                </label>
+            ` : ''}
+            ${effects.map(e => {
+                const state = getModEffectState(e);
+                return `<div class="flexrow" style="align-items: center;"><span>${e.name}</span><span class="mod-effect-state ${state.key}" style="flex: 0 0 auto;">${state.label}</span></div>`;
+            }).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Attach or detach effects from the chassis' attack activities so the system offers them
+ * on the attack card, to be applied to whoever was hit.
+ */
+async function linkOnHitEffects(chassis, effectIds) {
+    if (!effectIds.length || chassis.documentName !== "Item") return;
+    const updates = {};
+    for (const activity of Object.values(chassis.toObject().system.activities || {})) {
+        if (activity.type !== "attack") continue;
+        const linked = new Set((activity.effects || []).map(e => e._id));
+        updates[`system.activities.${activity._id}.effects`] = [...(activity.effects || []), ...effectIds.filter(id => !linked.has(id)).map(_id => ({ _id }))];
+    }
+    if (!foundry.utils.isEmpty(updates)) await chassis.update(updates, { sw5eModManager: true });
+}
+
+async function unlinkOnHitEffects(chassis, effectIds) {
+    if (!effectIds.length || chassis.documentName !== "Item") return;
+    const ids = new Set(effectIds);
+    const updates = {};
+    for (const activity of Object.values(chassis.toObject().system.activities || {})) {
+        if (!(activity.effects || []).some(e => ids.has(e._id))) continue;
+        updates[`system.activities.${activity._id}.effects`] = activity.effects.filter(e => !ids.has(e._id));
+    }
+    if (!foundry.utils.isEmpty(updates)) await chassis.update(updates, { sw5eModManager: true });
+}
+
+async function setModEffectMode(chassis, key, mode) {
+    const mods = foundry.utils.deepClone(chassis.getFlag('sw5e-mod-manager', 'installedMods') || []);
+    const entry = mods.find(m => getInstallKey(m) === key);
+    if (!entry || !EFFECT_MODES[mode]) return;
+    const transfer = mode !== "onHit" && (getChassisKind(chassis)?.transfer ?? true);
+    entry.effectMode = mode;
+    (entry.effects || []).forEach(e => {
+        e.transfer = transfer;
+        foundry.utils.setProperty(e, 'flags.sw5e-mod-manager.effectMode', mode);
+    });
+    await chassis.update({ "flags.sw5e-mod-manager.installedMods": mods }, { sw5eModManager: true });
+    const effectIds = getInstalledModEffects(chassis, entry).map(e => e.id);
+    if (effectIds.length) {
+        await chassis.updateEmbeddedDocuments("ActiveEffect", effectIds.map(_id => ({ _id, transfer, "flags.sw5e-mod-manager.effectMode": mode })));
+    }
+    await unlinkOnHitEffects(chassis, effectIds);
+    if (mode === "onHit") await linkOnHitEffects(chassis, effectIds);
+}
+
+/**
+ * Lifecycle hooks fired around installs and removals:
+ * - sw5eModManager.preInstall (chassis, mod, result) / sw5eModManager.preRemove (chassis, modData, result)
+ *   Return false from a handler to cancel the operation.
+ * - sw5eModManager.postInstall (chassis, modData, result) / sw5eModManager.postRemove (chassis, modData, result)
+ * `result` describes the check: { roll, dc, success, direct } and, for removals, { salvaged, salvagedItem }.
+ */
+async function performInstall(chassis, mod, result = {}) {
+    if (Hooks.call('sw5eModManager.preInstall', chassis, mod, result) === false) return false;
+    const injectedProps = getInjectedProperties(mod);
+    let modData = mod.toObject();
+    if (mod.getFlag('sw5e-mod-manager', 'isWrappedMod')) {
+        modData = foundry.utils.deepClone(mod.getFlag('sw5e-mod-manager', 'originalModData'));
+    }
+    // An install uses up a single unit, so the snapshot (and anything salvaged from it) is one mod
+    foundry.utils.setProperty(modData, 'system.quantity', 1);
+    // The installed entry tracks the condition from here on
+    delete modData.flags?.['sw5e-mod-manager']?.condition;
+    // Effects are copied from the original document so the stored snapshot stays untouched
+    let modEffects = foundry.utils.deepClone(modData.effects || []);
+    if (!modEffects.length) {
+        if (mod.effects && typeof mod.effects.map === "function") { modEffects = mod.effects.map(e => e.toObject()); } 
+        else if (mod.effects && mod.effects.contents) { modEffects = mod.effects.contents.map(e => e.toObject()); }
+    }
+    const installId = foundry.utils.randomID();
+    // Item chassis pass their mods' effects on to the owner; actor chassis hold them directly
+    const effectMode = getModEffectMode(mod);
+    const condition = getModCondition(mod);
+    const transfer = effectMode !== "onHit" && (getChassisKind(chassis)?.transfer ?? true);
+    const processedEffects = modEffects.map(effect => {
+        effect.transfer = transfer; 
+        effect.origin = chassis.uuid; 
+        effect.flags = foundry.utils.mergeObject(effect.flags || {}, { "sw5e-mod-manager": { sourceMod: mod.id, installId, effectMode, condition } });
+        return effect;
+    });
+    const newModData = { id: mod.id, installId, name: mod.name, uuid: mod.uuid, rarity: mod.system.rarity, slot: getModSlot(mod), originalData: modData, properties: injectedProps, effects: processedEffects, effectMode, condition };
+    await attachInstalledEntry(chassis, newModData, getModStats(mod));
+    result.installKey = installId;
+    // Install jobs took the mod out of the inventory when they were queued
+    if (!result.job?.modData) await consumeInventoryMod(getChassisActor(chassis), mod.id);
+    ui.notifications.info(`${mod.name} installed.`);
+    await recordHistory(chassis, result, { action: 'install', modName: mod.name, outcome: result.undo ? 'restored' : 'installed', installKey: installId, undoable: !result.undo });
+    Hooks.callAll('sw5eModManager.postInstall', chassis, newModData, result);
+    return true;
+}
+
+/**
+ * Use up one unit of an inventory mod: the stack shrinks, and the last one is deleted.
+ */
+async function consumeInventoryMod(actor, itemId) {
+    const item = actor?.items.get(itemId);
+    if (!item) return;
+    const quantity = Number(item.system.quantity) || 1;
+    if (quantity > 1) await item.update({ "system.quantity": quantity - 1 }, { sw5eModManager: true });
+    else await item.delete();
+}
+
+/**
+ * Add an installed entry to the chassis: stores it, applies its stats and properties and creates its effects.
+ * Shared by installs and by undoing a removal from the history.
+ */
+async function attachInstalledEntry(chassis, entry, stats = getModStats(entry)) {
+    const currentMods = chassis.getFlag('sw5e-mod-manager', 'installedMods') || [];
+    const baseProps = getBaseProperties(chassis);
+    // Damaged and broken mods change no stats until they are repaired
+    const { updates, applied } = computeStatChanges(chassis, isModWorking(entry) ? stats : {});
+    entry.applied = applied;
+    updates["flags.sw5e-mod-manager.installedMods"] = [...currentMods, entry];
+    updates["flags.sw5e-mod-manager.baseProperties"] = baseProps;
+    updates["flags.sw5e-mod-manager.schemaVersion"] = SCHEMA_VERSION;
+    if (entry.properties?.length > 0 && chassis.documentName === "Item" && isModWorking(entry)) {
+        updates["system.properties"] = [...new Set([...getChassisProperties(chassis), ...entry.properties])];
+    }
+    await chassis.update(updates, { sw5eModManager: true });
+    const effects = (entry.effects || []).map(e => ({ ...foundry.utils.deepClone(e), origin: chassis.uuid }));
+    if (effects.length > 0) {
+        try {
+            const created = await chassis.createEmbeddedDocuments("ActiveEffect", effects);
+            if (entry.effectMode === "onHit") await linkOnHitEffects(chassis, created.map(e => e.id));
+        } catch (err) { console.error("SW5e Mod Manager | Active Effects Error:", err); }
+    }
+}
+
+async function performRemove(chassis, modId, isSalvaged, result = {}) {
+    const currentMods = chassis.getFlag('sw5e-mod-manager', 'installedMods') || [];
+    const modToRemoval = findInstalledMod(chassis, modId);
+    if (!modToRemoval) return false;
+    result.salvaged = isSalvaged;
+    if (Hooks.call('sw5eModManager.preRemove', chassis, modToRemoval, result) === false) return false;
+    const baseProps = getBaseProperties(chassis);
+    const updatedMods = currentMods.filter(m => getInstallKey(m) !== getInstallKey(modToRemoval));
+    await chassis.setFlag('sw5e-mod-manager', 'installedMods', updatedMods);
+    const effectsToDelete = getInstalledModEffects(chassis, modToRemoval);
+    if (effectsToDelete.length > 0) {
+        await unlinkOnHitEffects(chassis, effectsToDelete.map(e => e.id));
+        await chassis.deleteEmbeddedDocuments("ActiveEffect", effectsToDelete.map(e => e.id));
+    }
+    const updates = computeStatReversal(chassis, modToRemoval?.applied);
+    updates["flags.sw5e-mod-manager.baseProperties"] = baseProps;
+    if (modToRemoval?.properties?.length > 0 && chassis.documentName === "Item") {
+        // Keep anything the chassis had natively or another installed mod still grants
+        const stillProvided = new Set([...baseProps, ...updatedMods.filter(isModWorking).flatMap(m => m.properties || [])]);
+        updates["system.properties"] = getChassisProperties(chassis).filter(p => !modToRemoval.properties.includes(p) || stillProvided.has(p));
+    }
+    await chassis.update(updates, { sw5eModManager: true });
+    const owner = getChassisActor(chassis);
+    if (isSalvaged && owner && modToRemoval?.originalData) {
+        // Entries installed before installs consumed single units may still hold a whole stack
+        const originalModData = foundry.utils.deepClone(modToRemoval.originalData);
+        foundry.utils.setProperty(originalModData, 'system.quantity', 1);
+        const wrapper = buildModWrapper(originalModData);
+        // Salvaged mods keep their condition until repaired
+        if (isModWorking(modToRemoval)) delete wrapper.flags['sw5e-mod-manager'].condition;
+        else wrapper.flags['sw5e-mod-manager'].condition = getModCondition(modToRemoval);
+        const [salvagedItem] = await owner.createEmbeddedDocuments("Item", [wrapper]);
+        result.salvagedItem = salvagedItem;
+        ui.notifications.info(`${modToRemoval.name} salvaged.`);
+    } else if (!isSalvaged) { 
+        ui.notifications.warn(`${modToRemoval.name} destroyed.`); 
+    }
+    await recordHistory(chassis, result, {
+        action: 'remove',
+        modName: modToRemoval.name,
+        outcome: result.undo ? 'undone' : (isSalvaged ? 'salvaged' : 'destroyed'),
+        // A salvaged mod is its own record; only destroyed mods need a copy of the entry to be undone
+        snapshot: isSalvaged ? null : modToRemoval,
+        effectMode: modToRemoval.effectMode ?? null,
+        salvagedItemId: result.salvagedItem?.id ?? null,
+        undoable: !result.undo
+    });
+    Hooks.callAll('sw5eModManager.postRemove', chassis, modToRemoval, result);
+    return true;
+}
+
+/**
+ * MOD CONDITION
+ * Installed entries (and wrapped mods in an inventory) carry a `condition`: working, damaged or
+ * broken. A failed check that misses the DC by the malfunction margin, or rolls a natural 1,
+ * makes the mod one step worse. Mods that are not working have their effects and properties
+ * suspended until a repair check, which has its own DC and cost, sets them back to working.
+ */
+const MOD_CONDITIONS = { working: "Working", damaged: "Damaged", broken: "Broken" };
+const BROKEN_REPAIR_DC_BONUS = 5;
+
+function getModCondition(mod) {
+    const condition = mod.condition ?? mod.flags?.['sw5e-mod-manager']?.condition;
+    return MOD_CONDITIONS[condition] ? condition : "working";
+}
+
+function isModWorking(mod) {
+    return getModCondition(mod) === "working";
+}
+
+function worsenCondition(condition) {
+    return condition === "working" ? "damaged" : "broken";
+}
+
+function isMalfunction(result) {
+    const margin = game.settings.get('sw5e-mod-manager', 'malfunctionMargin');
+    if (result.success || !result.roll || !(margin > 0)) return false;
+    const d20 = result.roll.dice?.[0];
+    const natural1 = result.roll.isFumble ?? (d20?.faces === 20 && d20.total === 1);
+    return !!natural1 || (result.dc - result.roll.total) >= margin;
+}
+
+function getRepairDC(mod) {
+    return getModDC(mod) + (getModCondition(mod) === "broken" ? BROKEN_REPAIR_DC_BONUS : 0);
+}
+
+function getRepairCost(mod, currency) {
+    return Math.round(getModPrice(mod, currency) * (game.settings.get('sw5e-mod-manager', 'repairCostPercent') || 0)) / 100;
+}
+
+/**
+ * Change an installed mod's condition, suspending or restoring the properties and stat changes
+ * it grants. Its effects are suspended through their `condition` flag.
+ */
+async function setModCondition(chassis, key, condition) {
+    const mods = foundry.utils.deepClone(chassis.getFlag('sw5e-mod-manager', 'installedMods') || []);
+    const entry = mods.find(m => getInstallKey(m) === key);
+    if (!entry || !MOD_CONDITIONS[condition]) return false;
+    const wasWorking = isModWorking(entry);
+    const baseProps = getBaseProperties(chassis);
+    entry.condition = condition;
+    (entry.effects || []).forEach(e => foundry.utils.setProperty(e, 'flags.sw5e-mod-manager.condition', condition));
+
+    const updates = { "flags.sw5e-mod-manager.installedMods": mods, "flags.sw5e-mod-manager.baseProperties": baseProps };
+    if (wasWorking !== isModWorking(entry)) {
+        // Stat changes come off while the mod is out of order and go back on once it works again
+        if (isModWorking(entry)) {
+            const { updates: statUpdates, applied } = computeStatChanges(chassis, getModStats(entry));
+            Object.assign(updates, statUpdates);
+            entry.applied = applied;
+        } else {
+            Object.assign(updates, computeStatReversal(chassis, entry.applied));
+            entry.applied = {};
+        }
+    }
+    if (entry.properties?.length && chassis.documentName === "Item" && wasWorking !== isModWorking(entry)) {
+        const current = getChassisProperties(chassis);
+        if (isModWorking(entry)) {
+            updates["system.properties"] = [...new Set([...current, ...entry.properties])];
+        } else {
+            // Keep anything the chassis had natively or another working mod still grants
+            const stillProvided = new Set([...baseProps, ...mods.filter(isModWorking).flatMap(m => m.properties || [])]);
+            updates["system.properties"] = current.filter(p => !entry.properties.includes(p) || stillProvided.has(p));
+        }
+    }
+    await chassis.update(updates, { sw5eModManager: true });
+    const effectIds = getInstalledModEffects(chassis, entry).map(e => e.id);
+    if (effectIds.length) {
+        await chassis.updateEmbeddedDocuments("ActiveEffect", effectIds.map(_id => ({ _id, "flags.sw5e-mod-manager.condition": condition })));
+    }
+    return true;
+}
+
+/**
+ * Roll and pay for a repair. Parts are used up whether or not the check succeeds, and a
+ * malfunction makes the mod worse. Like other direct actions, a direct repair is free and
+ * needs no roll. Resolves to the check result, or null if nothing was attempted.
+ */
+async function executeModRepair(chassis, entry, { direct = false, requestedBy = null, approvedBy = null } = {}) {
+    if (isModWorking(entry)) return null;
+    const dc = getRepairDC(entry);
+    const currency = game.settings.get('sw5e-mod-manager', 'currency') || "gp";
+    const cost = direct ? 0 : getRepairCost(entry, currency);
+    const payer = getChassisActor(chassis);
+    if (payer && cost > 0 && (Number(payer.system.currency?.[currency]) || 0) < cost) {
+        ui.notifications.error(`${payer.name} cannot afford the ${cost} ${currency} needed to repair ${entry.name}.`);
+        return null;
+    }
+
+    let result;
+    if (direct) {
+        result = { roll: null, dc, success: true, direct: true, requestedBy, approvedBy };
+    } else {
+        const actor = getCheckActor(chassis, requestedBy);
+        if (!actor) return null;
+        const roll = await rollModCheck(actor, chassis, dc, `Repair ${entry.name} - Check (DC ${dc})`);
+        if (!roll) return null;
+        result = { roll, dc, success: roll.total >= dc, direct: false, requestedBy, approvedBy };
+    }
+    await adjustCurrency(payer, currency, -cost);
+
+    let outcome = 'failed';
+    if (result.success) {
+        outcome = 'repaired';
+        await setModCondition(chassis, getInstallKey(entry), "working");
+        ui.notifications.info(`${entry.name} repaired.`);
+    } else if ((result.malfunction = isMalfunction(result)) && getModCondition(entry) !== "broken") {
+        outcome = 'broken';
+        await setModCondition(chassis, getInstallKey(entry), "broken");
+        ui.notifications.error(`The repair went badly wrong. ${entry.name} is now broken.`);
+    } else {
+        ui.notifications.warn(`Repair of ${entry.name} failed.`);
+    }
+    await recordHistory(chassis, result, { action: 'repair', modName: entry.name, outcome });
+    return result;
+}
+
+/**
+ * CRAFTING JOBS
+ * Jobs live in `flags.sw5e-mod-manager.jobs` on the chassis. The cost is paid up front. An install
+ * job takes the mod out of the inventory and keeps it in `modData`, handing it back if cancelled;
+ * a removal leaves the mod installed until the job finishes.
+ */
+function getModPrice(mod, currency) {
+    const price = mod.system?.price ?? mod.originalData?.system?.price;
+    if (price == null) return 0;
+    if (typeof price === "number") return price;
+    const value = Number(price.value) || 0;
+    const currencies = CONFIG.DND5E?.currencies || {};
+    const from = currencies[price.denomination]?.conversion;
+    const to = currencies[currency]?.conversion;
+    return (from && to) ? value * to / from : value;
+}
+
+function getModHours(mod) {
+    return resolveRarityTier(mod.system?.rarity || mod.rarity).hours;
+}
+
+async function adjustCurrency(actor, currency, amount) {
+    if (!actor || !amount) return true;
+    const current = Number(actor.system.currency?.[currency]) || 0;
+    if (current + amount < 0) return false;
+    await actor.update({ [`system.currency.${currency}`]: Math.round((current + amount) * 100) / 100 });
+    return true;
+}
+
+async function startModJob(chassis, mod, actionType, result = {}) {
+    const jobs = chassis.getFlag('sw5e-mod-manager', 'jobs') || [];
+    const isInstall = actionType === 'install';
+    if (jobs.some(j => isInstall ? j.modUuid === mod.uuid : j.modId === getInstallKey(mod))) {
+        ui.notifications.warn(`${mod.name} already has a job in progress on ${chassis.name}.`);
+        return false;
+    }
+    const hoursRequired = getModHours(mod);
+    // Hooks get their say before anything is paid or held; they are asked again when the job finishes
+    if (hoursRequired > 0 && Hooks.call(isInstall ? 'sw5eModManager.preInstall' : 'sw5eModManager.preRemove', chassis, mod, result) === false) return false;
+
+    const currency = game.settings.get('sw5e-mod-manager', 'currency') || "gp";
+    const cost = Math.round(getModPrice(mod, currency) * (game.settings.get('sw5e-mod-manager', 'costPercent') || 0)) / 100;
+    const payer = getChassisActor(chassis);
+    if (!await adjustCurrency(payer, currency, -cost)) {
+        ui.notifications.error(`${payer.name} cannot afford the ${cost} ${currency} needed to ${actionType} ${mod.name}.`);
+        return false;
+    }
+    // Tiers without crafting time are applied straight away
+    if (!(hoursRequired > 0)) {
+        const done = isInstall ? await performInstall(chassis, mod, result) : await performRemove(chassis, getInstallKey(mod), true, result);
+        if (!done) await adjustCurrency(payer, currency, cost);
+        return done;
+    }
+
+    // An install job holds one unit of a mod from the owner's inventory, so it cannot be queued
+    // on a second chassis or sold meanwhile
+    const held = isInstall && !!payer && mod.parent?.uuid === payer.uuid;
+    const modData = held ? mod.toObject() : null;
+    if (modData) foundry.utils.setProperty(modData, 'system.quantity', 1);
+
+    const job = {
+        id: foundry.utils.randomID(),
+        action: actionType,
+        modUuid: isInstall ? mod.uuid : null,
+        modId: isInstall ? mod.id : getInstallKey(mod),
+        modData,
+        modName: mod.name,
+        slot: isInstall ? getModSlot(mod) : null,
+        identifier: isInstall ? getModIdentifier(mod) : null,
+        rules: isInstall ? getModRules(mod) : null,
+        hoursRequired,
+        hoursLogged: 0,
+        cost,
+        currency,
+        startedAt: game.time.worldTime,
+        userId: result.requestedBy ?? game.user.id,
+        result: { total: result.roll?.total ?? null, dc: result.dc ?? null, direct: !!result.direct, approvedBy: result.approvedBy ?? null }
+    };
+    await chassis.setFlag('sw5e-mod-manager', 'jobs', [...jobs, job]);
+    if (held) await consumeInventoryMod(payer, mod.id);
+    result.jobId = job.id;
+    await recordHistory(chassis, result, { action: actionType, modName: mod.name, outcome: 'job started' });
+    ui.notifications.info(`Started ${isInstall ? 'installing' : 'removing'} ${mod.name}: ${job.hoursRequired} hour(s)${cost ? `, ${cost} ${currency}` : ''}.`);
+    return true;
+}
+
+/**
+ * Adds worked hours to one job (or every job when no id is given) and applies finished ones.
+ * Pass Infinity to finish a job outright.
+ */
+async function advanceModJobs(chassis, hours, jobId = null) {
+    const jobs = chassis.getFlag('sw5e-mod-manager', 'jobs') || [];
+    if (!jobs.length || !(hours > 0)) return;
+    const finished = [];
+    const updated = jobs.map(job => {
+        if (jobId && job.id !== jobId) return job;
+        const logged = { ...job, hoursLogged: Math.min(job.hoursLogged + hours, job.hoursRequired) };
+        if (logged.hoursLogged >= logged.hoursRequired) finished.push(logged);
+        return logged;
+    });
+    await chassis.setFlag('sw5e-mod-manager', 'jobs', updated);
+    for (const job of finished) await completeModJob(chassis, job);
+}
+
+// Jobs being applied right now, so a second advance cannot finish the same job twice
+const completingJobs = new Set();
+
+/**
+ * Applies a finished job. The job stays listed until it has been applied; if that fails, the
+ * held mod goes back to the inventory and the whole cost is refunded.
+ */
+async function completeModJob(chassis, job) {
+    if (completingJobs.has(job.id)) return false;
+    completingJobs.add(job.id);
+    const result = { roll: null, dc: job.result?.dc ?? null, success: true, direct: !!job.result?.direct, total: job.result?.total ?? null, approvedBy: job.result?.approvedBy ?? null, job };
+    let done = false;
+    try {
+        done = job.action === 'install'
+            ? await completeInstallJob(chassis, job, result)
+            : await performRemove(chassis, job.modId, true, result);
+    } catch (err) {
+        console.error("SW5e Mod Manager | Crafting Job Error:", err);
+    }
+    try {
+        await removeModJob(chassis, job.id);
+    } finally {
+        completingJobs.delete(job.id);
+    }
+    if (!done) {
+        await returnJobMod(chassis, job, job.cost);
+        ui.notifications.warn(`Work on ${job.modName} could not be applied to ${chassis.name}.${job.cost ? ` Refunded ${job.cost} ${job.currency}.` : ''}`);
+    }
+    if (job.action === 'remove') {
+        await continueLoadoutSwitch(chassis, job.id, { cancelled: !done });
+        if (done && job.transfer) {
+            await installTransferredMod(await fromUuid(job.transfer.targetUuid), result.salvagedItem, { direct: job.transfer.direct, requestedBy: job.userId });
+        }
+    }
+    return done;
+}
+
+async function completeInstallJob(chassis, job, result) {
+    const mod = job.modData
+        ? new CONFIG.Item.documentClass(job.modData, { parent: getChassisActor(chassis) })
+        : (job.modUuid ? await fromUuid(job.modUuid) : null);
+    if (!mod) {
+        ui.notifications.error(`${job.modName} is no longer available, so it could not be installed on ${chassis.name}.`);
+        return false;
+    }
+    return performInstall(chassis, mod, result);
+}
+
+async function removeModJob(chassis, jobId) {
+    const jobs = chassis.getFlag('sw5e-mod-manager', 'jobs') || [];
+    await chassis.setFlag('sw5e-mod-manager', 'jobs', jobs.filter(j => j.id !== jobId));
+}
+
+/**
+ * Refunds part of a job's cost and hands its held mod back, exactly as it was taken.
+ */
+async function returnJobMod(chassis, job, refund) {
+    const owner = getChassisActor(chassis);
+    if (refund > 0) await adjustCurrency(owner, job.currency, refund);
+    if (job.modData && owner) {
+        const modData = foundry.utils.deepClone(job.modData);
+        delete modData._id;
+        await owner.createEmbeddedDocuments("Item", [modData], { sw5eModManager: true });
+    }
+}
+
+async function cancelModJob(chassis, jobId) {
+    const job = (chassis.getFlag('sw5e-mod-manager', 'jobs') || []).find(j => j.id === jobId);
+    if (!job || completingJobs.has(jobId)) return false;
+    const unworked = job.hoursRequired > 0 ? 1 - (job.hoursLogged / job.hoursRequired) : 1;
+    const refund = Math.floor(job.cost * unworked * (game.settings.get('sw5e-mod-manager', 'refundPercent') ?? 100)) / 100;
+    await removeModJob(chassis, jobId);
+    await returnJobMod(chassis, job, refund);
+    ui.notifications.info(`Cancelled work on ${job.modName}.${refund > 0 ? ` Refunded ${refund} ${job.currency}.` : ''}`);
+    await continueLoadoutSwitch(chassis, jobId, { cancelled: true });
+    return true;
+}
+
+function showLogHoursDialog(chassis, jobId) {
+    const job = (chassis.getFlag('sw5e-mod-manager', 'jobs') || []).find(j => j.id === jobId);
+    if (!job) return;
+    new Dialog({
+        title: `Log Hours: ${job.modName}`,
+        content: `
+            <div class="form-group">
+                <label for="job-hours">Hours worked (${Math.round((job.hoursRequired - job.hoursLogged) * 10) / 10} remaining)</label>
+                <input type="number" id="job-hours" value="1" min="0" step="0.5" />
+            </div>
+        `,
+        buttons: {
+            log: {
+                label: "Log",
+                callback: (html) => advanceModJobs(chassis, Number(html.find('#job-hours').val()) || 0, jobId)
+            },
+            cancel: { label: "Cancel" }
+        },
+        default: "log"
+    }).render(true);
+}
+
+function renderJobList(item) {
+    const jobs = item.getFlag('sw5e-mod-manager', 'jobs') || [];
+    if (jobs.length === 0) return "";
+    const rows = jobs.map(job => {
+        const pct = job.hoursRequired > 0 ? Math.round((job.hoursLogged / job.hoursRequired) * 100) : 100;
+        return `
+            <li class="item flexrow mod-job" data-job-id="${job.id}" style="align-items: center; padding: 3px 0;">
+                <div style="flex: 2;"><strong>${job.action === 'install' ? 'Installing' : 'Removing'}</strong> ${job.modName}</div>
+                <div style="flex: 2;">
+                    <div class="mod-job-progress"><span style="width: ${pct}%;"></span></div>
+                    <span style="font-size: 0.8em; color: #666;">${Math.round(job.hoursLogged * 10) / 10} / ${job.hoursRequired} h${job.cost ? ` &middot; ${job.cost} ${job.currency}` : ''}</span>
+                </div>
+                <div class="item-controls" style="flex: 0 0 60px; text-align: right;">
+                    <a class="mod-job-log" data-job-id="${job.id}" title="Log Hours" style="margin-right: 6px;"><i class="fas fa-clock"></i></a>
+                    ${game.user.isGM ? `<a class="mod-job-finish" data-job-id="${job.id}" title="Finish Now" style="margin-right: 6px;"><i class="fas fa-forward"></i></a>` : ''}
+                    <a class="mod-job-cancel" data-job-id="${job.id}" title="Cancel Job"><i class="fas fa-ban"></i></a>
+                </div>
+            </li>
+        `;
+    });
+    return `
+        <div class="mod-jobs" style="margin-top: 10px;">
+            <div class="mod-slot-label">In Progress</div>
+            <ol class="items-list">${rows.join('')}</ol>
+        </div>
+    `;
+}
+
+/**
+ * HISTORY
+ * Every install/removal attempt is logged in `flags.sw5e-mod-manager.history`, newest first.
+ * Salvaging removals are undone from the salvaged item. Destroying removals keep a snapshot of
+ * the installed entry, but only the newest few, so the log stays small.
+ */
+const HISTORY_LIMIT = 50;
+const HISTORY_SNAPSHOT_LIMIT = 5;
+
+async function recordHistory(chassis, result = {}, data = {}) {
+    const userId = result.requestedBy ?? result.job?.userId ?? game.user.id;
+    const entry = {
+        id: foundry.utils.randomID(),
+        time: Date.now(),
+        worldTime: game.time.worldTime,
+        userId,
+        userName: game.users.get(userId)?.name ?? "Unknown",
+        // Only set on the approval path: jobs finishing on the GM's client were never approved
+        approvedBy: result.approvedBy ?? null,
+        total: result.roll?.total ?? result.total ?? null,
+        dc: result.dc ?? null,
+        direct: !!result.direct,
+        undoable: false,
+        ...data
+    };
+    const history = [entry, ...(chassis.getFlag('sw5e-mod-manager', 'history') || [])].slice(0, HISTORY_LIMIT);
+    let snapshots = 0;
+    const trimmed = history.map(h => {
+        if (!h.snapshot || ++snapshots <= HISTORY_SNAPSHOT_LIMIT) return h;
+        return { ...h, snapshot: null, undoable: h.undoable && !!h.salvagedItemId };
+    });
+    await chassis.setFlag('sw5e-mod-manager', 'history', trimmed);
+}
+
+async function undoHistoryEntry(chassis, historyId) {
+    if (!game.user.isGM) return false;
+    const entry = (chassis.getFlag('sw5e-mod-manager', 'history') || []).find(h => h.id === historyId);
+    if (!entry?.undoable || entry.undone) return false;
+
+    if (entry.action === 'install') {
+        if (!findInstalledMod(chassis, entry.installKey)) {
+            ui.notifications.warn(`${entry.modName} is no longer installed on ${chassis.name}.`);
+            return false;
+        }
+        await performRemove(chassis, entry.installKey, true, { roll: null, dc: null, success: true, direct: true, undo: true });
+    } else if (entry.salvagedItemId) {
+        // The salvaged copy goes back into the chassis; once sold, installed elsewhere or deleted it cannot
+        const salvaged = getChassisActor(chassis)?.items.get(entry.salvagedItemId);
+        if (!salvaged) {
+            ui.notifications.warn(`The salvaged ${entry.modName} is no longer in the inventory, so its removal cannot be undone.`);
+            return false;
+        }
+        const result = { roll: null, dc: null, success: true, direct: true, undo: true };
+        if (!await performInstall(chassis, salvaged, result)) return false;
+        if (entry.effectMode && findInstalledMod(chassis, result.installKey)?.effectMode !== entry.effectMode) {
+            await setModEffectMode(chassis, result.installKey, entry.effectMode);
+        }
+    } else {
+        if (!entry.snapshot) return false;
+        if (findInstalledMod(chassis, getInstallKey(entry.snapshot))) {
+            ui.notifications.warn(`${entry.modName} is already installed on ${chassis.name}.`);
+            return false;
+        }
+        await attachInstalledEntry(chassis, foundry.utils.deepClone(entry.snapshot));
+        ui.notifications.info(`${entry.modName} restored on ${chassis.name}.`);
+        await recordHistory(chassis, { direct: true }, { action: 'install', modName: entry.modName, outcome: 'restored' });
+    }
+
+    const history = (chassis.getFlag('sw5e-mod-manager', 'history') || []).map(h => h.id === historyId ? { ...h, undone: true } : h);
+    await chassis.setFlag('sw5e-mod-manager', 'history', history);
+    return true;
+}
+
+function renderHistory(item) {
+    const history = item.getFlag('sw5e-mod-manager', 'history') || [];
+    if (history.length === 0) return "";
+    const rows = history.map(h => {
+        const check = h.direct ? 'Direct' : (h.total !== null ? `${h.total} vs DC ${h.dc}` : '&mdash;');
+        const canUndo = game.user.isGM && h.undoable && !h.undone;
+        return `
+            <li class="flexrow mod-history-entry ${h.undone ? 'undone' : ''}">
+                <span style="flex: 0 0 120px;" data-tooltip="${new Date(h.time).toLocaleString()}">${new Date(h.time).toLocaleDateString()}</span>
+                <span style="flex: 1;">${escapeModText(h.userName)}${h.approvedBy ? ` <i class="fas fa-user-shield" data-tooltip="Approved by ${escapeModText(h.approvedBy)}"></i>` : ''}</span>
+                <span style="flex: 2;">${formatSlotLabel(h.action)} <strong>${escapeModText(h.modName)}</strong></span>
+                <span style="flex: 1;">${check}</span>
+                <span style="flex: 1;" class="mod-history-outcome ${h.outcome}">${h.outcome}${h.undone ? ' (undone)' : ''}</span>
+                <span style="flex: 0 0 20px; text-align: right;">${canUndo ? `<a class="mod-history-undo" data-history-id="${h.id}" title="Undo"><i class="fas fa-undo"></i></a>` : ''}</span>
+            </li>
+        `;
+    });
+    return `
+        <details class="mod-history" style="margin-top: 10px;">
+            <summary class="mod-slot-label">History (${history.length})</summary>
+            <ol class="items-list" style="font-size: 0.85em;">${rows.join('')}</ol>
+        </details>
+    `;
+}
+
+/**
+ * LOADOUTS
+ * Named sets of installed mods saved in `flags.sw5e-mod-manager.loadouts`. Mods are matched by
+ * identifier, so switching uses whichever matching mods are in the actor's inventory.
+ */
+function getLoadouts(chassis) {
+    return chassis.getFlag('sw5e-mod-manager', 'loadouts') || [];
+}
+
+async function saveLoadout(chassis, name) {
+    const mods = (chassis.getFlag('sw5e-mod-manager', 'installedMods') || []).map(m => ({ identifier: getModIdentifier(m), name: m.name }));
+    const loadouts = getLoadouts(chassis).filter(l => l.name !== name);
+    loadouts.push({ id: foundry.utils.randomID(), name, mods });
+    await chassis.setFlag('sw5e-mod-manager', 'loadouts', loadouts);
+    ui.notifications.info(`Saved loadout "${name}" for ${chassis.name}.`);
+}
+
+async function deleteLoadout(chassis, loadoutId) {
+    const loadouts = getLoadouts(chassis);
+    const loadout = loadouts.find(l => l.id === loadoutId);
+    if (!loadout) return;
+    await chassis.setFlag('sw5e-mod-manager', 'loadouts', loadouts.filter(l => l.id !== loadoutId));
+    ui.notifications.info(`Deleted loadout "${loadout.name}".`);
+}
+
+/**
+ * Work out which installed mods leave, which inventory mods come in and which are missing.
+ */
+function planLoadoutSwitch(chassis, loadout) {
+    const installed = [...(chassis.getFlag('sw5e-mod-manager', 'installedMods') || [])];
+    const wanted = [];
+    for (const target of loadout.mods) {
+        const index = installed.findIndex(m => getModIdentifier(m) === target.identifier);
+        // Mods already in place stay installed
+        if (index !== -1) installed.splice(index, 1);
+        else wanted.push(target);
+    }
+    const used = new Set();
+    const toInstall = [];
+    const missing = [];
+    for (const target of wanted) {
+        const item = getChassisActor(chassis)?.items.find(i => !used.has(i.id) && i.id !== chassis.id && isModification(i) && getModIdentifier(i) === target.identifier);
+        if (item) {
+            used.add(item.id);
+            toInstall.push(item);
+        } else {
+            missing.push(target);
+        }
+    }
+    return { toRemove: installed, toInstall, missing };
+}
+
+function showLoadoutSwitchDialog(chassis, loadoutId) {
+    const loadout = getLoadouts(chassis).find(l => l.id === loadoutId);
+    if (!loadout) return;
+    const plan = planLoadoutSwitch(chassis, loadout);
+    const list = (label, names) => names.length ? `<p><strong>${label}:</strong> ${names.join(', ')}</p>` : '';
+    const content = `
+        <p>Switch ${chassis.name} to the <strong>${loadout.name}</strong> loadout?</p>
+        ${list("Remove", plan.toRemove.map(m => m.name))}
+        ${list("Install", plan.toInstall.map(m => m.name))}
+        ${list("Missing from inventory", plan.missing.map(m => m.name))}
+        ${!plan.toRemove.length && !plan.toInstall.length ? '<p>No changes are needed.</p>' : ''}
+        <p class="hint" style="font-size: 0.8em;">Removed mods are salvaged to the inventory. A failed removal keeps the mod installed.</p>
+    `;
+    const buttons = {
+        roll: { label: "Roll Checks", callback: () => switchLoadout(chassis, loadout, { direct: false }) }
+    };
+    if (canUseDirect()) buttons.direct = { label: "Direct (Skip Rolls)", callback: () => switchLoadout(chassis, loadout, { direct: true }) };
+    buttons.cancel = { label: "Cancel" };
+    new Dialog({ title: `Switch Loadout: ${loadout.name}`, content, buttons, default: "roll" }).render(true);
+}
+
+async function switchLoadout(chassis, loadout, { direct = false, requestedBy = null, approvedBy = null } = {}) {
+    const plan = planLoadoutSwitch(chassis, loadout);
+    const report = createLoadoutReport(plan.missing.map(m => m.name));
+    // The whole switch is approved as one request, so removals always happen before the installs
+    if (needsApproval() && !(direct && canUseDirect())) {
+        if (requestLoadoutApproval(chassis, loadout, { direct })) report.requested.push(...plan.toRemove.map(m => m.name), ...plan.toInstall.map(m => m.name));
+        return report;
+    }
+
+    // Removals first so their slots are free for the incoming mods
+    const removalJobs = [];
+    for (const entry of plan.toRemove) {
+        const result = await executeModAction(chassis, entry, 'remove', { direct, destroyOnFail: false, requestedBy, approvedBy });
+        if (!result) report.failed.push(`${entry.name} (not completed)`);
+        else if (!result.success) report.failed.push(`${entry.name} (check failed)`);
+        else if (result.jobId) {
+            removalJobs.push(result.jobId);
+            report.started.push(entry.name);
+        } else if (!findInstalledMod(chassis, getInstallKey(entry))) report.removed.push(entry.name);
+        else report.failed.push(`${entry.name} (not removed)`);
+    }
+
+    // With crafting time tracked the removals are only jobs, so the installs wait for them to finish
+    if (removalJobs.length) {
+        await chassis.setFlag('sw5e-mod-manager', 'pendingLoadout', { loadoutId: loadout.id, direct, userId: requestedBy ?? game.user.id, approvedBy, jobIds: removalJobs });
+        report.waiting.push(...plan.toInstall.map(m => m.name));
+    } else {
+        await installLoadoutMods(chassis, loadout, { direct, requestedBy, approvedBy }, report);
+    }
+
+    postLoadoutReport(chassis, loadout, report, requestedBy);
+    if (report.missing.length) ui.notifications.warn(`Missing mods for the ${loadout.name} loadout: ${report.missing.join(', ')}.`);
+    return report;
+}
+
+function createLoadoutReport(missing = []) {
+    return { removed: [], installed: [], started: [], waiting: [], requested: [], failed: [], missing };
+}
+
+/**
+ * The install half of a loadout switch. Plans again so it only installs what is still missing.
+ */
+async function installLoadoutMods(chassis, loadout, { direct = false, requestedBy = null, approvedBy = null }, report) {
+    const plan = planLoadoutSwitch(chassis, loadout);
+    for (const mod of plan.toInstall) {
+        const check = canInstall(chassis, mod);
+        if (!check.allowed) {
+            report.failed.push(`${mod.name} (${check.reasons.join(' ')})`);
+            continue;
+        }
+        const result = await executeModAction(chassis, mod, 'install', { direct, requestedBy, approvedBy });
+        if (!result) report.failed.push(`${mod.name} (not completed)`);
+        else if (!result.success) report.failed.push(`${mod.name} (check failed)`);
+        else if (result.jobId) report.started.push(mod.name);
+        else if (findInstalledMod(chassis, result.installKey)) report.installed.push(mod.name);
+        else report.failed.push(`${mod.name} (not installed)`);
+    }
+    return report;
+}
+
+/**
+ * Called when a removal job finishes or is cancelled. Once every removal of a deferred loadout
+ * switch is done its installs run; a cancelled removal abandons the rest of the switch.
+ */
+async function continueLoadoutSwitch(chassis, jobId, { cancelled = false } = {}) {
+    const pendingLoadout = chassis.getFlag('sw5e-mod-manager', 'pendingLoadout');
+    if (!pendingLoadout?.jobIds?.includes(jobId)) return;
+    const loadout = getLoadouts(chassis).find(l => l.id === pendingLoadout.loadoutId);
+    if (cancelled || !loadout) {
+        await chassis.unsetFlag('sw5e-mod-manager', 'pendingLoadout');
+        ui.notifications.warn(`The switch of ${chassis.name} to ${loadout ? `the ${loadout.name} loadout` : 'a loadout'} was abandoned.`);
+        return;
+    }
+    const jobs = chassis.getFlag('sw5e-mod-manager', 'jobs') || [];
+    if (pendingLoadout.jobIds.some(id => jobs.some(j => j.id === id))) return;
+    await chassis.unsetFlag('sw5e-mod-manager', 'pendingLoadout');
+    const { direct, userId: requestedBy, approvedBy = null } = pendingLoadout;
+    const report = await installLoadoutMods(chassis, loadout, { direct, requestedBy, approvedBy }, createLoadoutReport());
+    postLoadoutReport(chassis, loadout, report, requestedBy);
+}
+
+function postLoadoutReport(chassis, loadout, report, requestedBy = null) {
+    const line = (label, names) => names.length ? `<li><strong>${label}:</strong> ${names.map(escapeModText).join(', ')}</li>` : '';
+    ChatMessage.create({
+        user: game.user.id,
+        speaker: ChatMessage.getSpeaker({ actor: getChassisActor(chassis) }),
+        whisper: [...new Set(ChatMessage.getWhisperRecipients("GM").map(u => u.id).concat(game.user.id, requestedBy ?? []))],
+        content: `
+            <div class="dnd5e chat-card">
+                <h3>${escapeModText(chassis.name)}: ${escapeModText(loadout.name)} Loadout</h3>
+                <ul>
+                    ${line("Removed", report.removed)}
+                    ${line("Installed", report.installed)}
+                    ${line("Work started", report.started)}
+                    ${line("Installing once removals finish", report.waiting)}
+                    ${line("Failed", report.failed)}
+                    ${line("Missing", report.missing)}
+                </ul>
+            </div>
+        `
+    });
+}
+
+function showSaveLoadoutDialog(chassis) {
+    new Dialog({
+        title: `Save Loadout: ${chassis.name}`,
+        content: `
+            <p>Save the currently installed modifications as a named loadout. A loadout with the same name is replaced.</p>
+            <div class="form-group">
+                <input type="text" id="loadout-name" placeholder="Stealth" style="width: 100%;" />
+            </div>
+        `,
+        buttons: {
+            save: {
+                label: "Save",
+                callback: (html) => {
+                    const name = html.find('#loadout-name').val().trim();
+                    if (name) saveLoadout(chassis, name);
+                }
+            },
+            cancel: { label: "Cancel" }
+        },
+        default: "save"
+    }).render(true);
+}
+
+function renderLoadoutControls(item) {
+    if (!item.isOwner) return "";
+    const loadouts = getLoadouts(item);
+    return `
+        <div class="mod-loadouts flexrow" style="align-items: center; gap: 5px; margin-top: 10px;">
+            <div class="mod-slot-label" style="flex: 0 0 auto; margin: 0;">Loadouts</div>
+            <select class="mod-loadout-select" style="flex: 1;">
+                ${loadouts.length ? loadouts.map(l => `<option value="${l.id}">${l.name} (${l.mods.length})</option>`).join('') : '<option value="">No saved loadouts</option>'}
+            </select>
+            <a class="mod-loadout-switch" title="Switch to Loadout" style="flex: 0 0 20px;"><i class="fas fa-exchange-alt"></i></a>
+            <a class="mod-loadout-delete" title="Delete Loadout" style="flex: 0 0 20px;"><i class="fas fa-trash"></i></a>
+            <a class="mod-loadout-save" title="Save Current as Loadout" style="flex: 0 0 20px;"><i class="fas fa-save"></i></a>
+        </div>
+    `;
+}
+
+/**
+ * WORKSHOP
+ * Actor-level window listing every chassis and every inventory mod. Mods can be dragged from
+ * the inventory onto a chassis, between chassis (remove + install in one step) or back to the
+ * inventory (remove).
+ */
+class ModWorkshop extends Application {
+    constructor(actor, options = {}) {
+        super(options);
+        this.actor = actor;
+        this.filters = { rarity: "", compatibleWith: "" };
+        this._hooks = [];
+    }
+
+    static get defaultOptions() {
+        return foundry.utils.mergeObject(super.defaultOptions, {
+            classes: ["sw5e-mod-workshop"],
+            width: 760,
+            height: 620,
+            resizable: true
+        });
+    }
+
+    get id() {
+        return `sw5e-mod-workshop-${this.actor.id}`;
+    }
+
+    get title() {
+        return `Workshop: ${this.actor.name}`;
+    }
+
+    async _renderInner() {
+        return $(this._buildHTML());
+    }
+
+    async _render(force, options) {
+        await super._render(force, options);
+        if (this._hooks.length) return;
+        // Re-render whenever this actor's items change
+        const refresh = (doc) => {
+            const actor = doc.documentName === "Actor" ? doc : (doc.parent?.documentName === "Actor" ? doc.parent : doc.parent?.parent);
+            if (actor?.id === this.actor.id) this.render();
+        };
+        for (const hook of ["updateActor", "createItem", "updateItem", "deleteItem"]) this._hooks.push([hook, Hooks.on(hook, refresh)]);
+    }
+
+    async close(options) {
+        this._hooks.forEach(([hook, id]) => Hooks.off(hook, id));
+        this._hooks = [];
+        return super.close(options);
+    }
+
+    getChassis() {
+        // Droids and augmented characters are chassis themselves
+        const self = isChassis(this.actor) ? [this.actor] : [];
+        return [...self, ...this.actor.items.filter(i => isChassis(i))];
+    }
+
+    getChassisById(id) {
+        return id === this.actor.id ? this.actor : this.actor.items.get(id);
+    }
+
+    getInventoryMods() {
+        const compatibleWith = this.filters.compatibleWith ? this.getChassisById(this.filters.compatibleWith) : null;
+        return this.actor.items.filter(i => !isChassis(i) && isModification(i))
+            .filter(i => !this.filters.rarity || getRarityKey(i.system.rarity) === this.filters.rarity)
+            .filter(i => !compatibleWith || canInstall(compatibleWith, i).allowed);
+    }
+
+    _buildHTML() {
+        const currency = game.settings.get('sw5e-mod-manager', 'currency') || "gp";
+        const chassisList = this.getChassis();
+        const allMods = this.actor.items.filter(i => !isChassis(i) && isModification(i));
+        const rarities = [...new Set([...allMods.map(i => getRarityKey(i.system.rarity)), ...chassisList.flatMap(c => (c.getFlag('sw5e-mod-manager', 'installedMods') || []).map(m => getRarityKey(m.rarity)))])];
+        let totalValue = 0;
+
+        const chassisRows = chassisList.map(chassis => {
+            const mods = (chassis.getFlag('sw5e-mod-manager', 'installedMods') || []).filter(m => !this.filters.rarity || getRarityKey(m.rarity) === this.filters.rarity);
+            const value = (chassis.getFlag('sw5e-mod-manager', 'installedMods') || []).reduce((sum, m) => sum + getModPrice(m, currency), 0);
+            totalValue += value;
+            return `
+                <li class="workshop-chassis" data-chassis-id="${chassis.id}">
+                    <div class="flexrow workshop-chassis-header">
+                        <img src="${chassis.img}" width="28" height="28" style="flex: 0 0 28px; border: none;"/>
+                        <strong style="flex: 1;">${chassis.name}</strong>
+                        <span class="workshop-value">${getChassisKind(chassis).label}</span>
+                        ${getSlotCountDisplay(chassis)}
+                        <a class="workshop-open" data-chassis-id="${chassis.id}" title="Open Modifications" style="flex: 0 0 16px;"><i class="fas fa-external-link-alt"></i></a>
+                        <span class="workshop-value">${Math.round(value * 100) / 100} ${currency}</span>
+                    </div>
+                    <div class="workshop-chassis-mods">
+                        ${mods.length ? mods.map(m => `<span class="workshop-mod installed" draggable="true" data-chassis-id="${chassis.id}" data-mod-key="${getInstallKey(m)}" data-tooltip="${formatSlotLabel(m.slot || 'augment')}"><i class="fas fa-microchip"></i> ${m.name}</span>`).join('') : '<span class="hint">Drop modifications here</span>'}
+                    </div>
+                </li>
+            `;
+        }).join('');
+
+        const modRows = this.getInventoryMods().map(mod => `
+            <li class="workshop-mod inventory flexrow" draggable="true" data-item-id="${mod.id}">
+                <img src="${mod.img}" width="24" height="24" style="flex: 0 0 24px; border: none;"/>
+                <span style="flex: 1;">${mod.name}</span>
+                <span style="flex: 0 0 auto; color: #777; font-size: 0.85em;">${formatSlotLabel(getModSlot(mod))} &middot; ${getRarityLabel(mod.system.rarity)}</span>
+            </li>
+        `).join('');
+
+        return `
+            <div class="workshop-body flexcol">
+                <div class="workshop-filters flexrow">
+                    <label>Rarity
+                        <select name="rarity">
+                            <option value="">All</option>
+                            ${rarities.map(r => `<option value="${r}" ${r === this.filters.rarity ? 'selected' : ''}>${getRarityLabel(r)}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label>Compatible with
+                        <select name="compatibleWith">
+                            <option value="">Any chassis</option>
+                            ${chassisList.map(c => `<option value="${c.id}" ${c.id === this.filters.compatibleWith ? 'selected' : ''}>${c.name}</option>`).join('')}
+                        </select>
+                    </label>
+                    <span class="workshop-total">Installed mod value: <strong>${Math.round(totalValue * 100) / 100} ${currency}</strong></span>
+                </div>
+                <div class="workshop-columns flexrow">
+                    <section class="workshop-column">
+                        <h3>Chassis</h3>
+                        <ol class="workshop-chassis-list">${chassisRows || '<li class="hint">No chassis.</li>'}</ol>
+                    </section>
+                    <section class="workshop-column workshop-inventory">
+                        <h3>Inventory Mods</h3>
+                        <ol>${modRows || '<li class="hint">No matching modifications.</li>'}</ol>
+                    </section>
+                </div>
+            </div>
+        `;
+    }
+
+    activateListeners(html) {
+        super.activateListeners(html);
+        html.find('.workshop-open').on('click', ev => openChassisSheet(this.getChassisById(ev.currentTarget.dataset.chassisId)));
+        html.find('.workshop-filters select').on('change', ev => {
+            this.filters[ev.currentTarget.name] = ev.currentTarget.value;
+            this.render();
+        });
+
+        html.find('.workshop-mod').on('dragstart', ev => {
+            const el = ev.currentTarget;
+            const data = el.dataset.itemId ? { type: "WorkshopMod", itemId: el.dataset.itemId } : { type: "WorkshopMod", chassisId: el.dataset.chassisId, modKey: el.dataset.modKey };
+            ev.originalEvent.dataTransfer.setData('text/plain', JSON.stringify(data));
+        });
+
+        const allowDrop = ev => ev.preventDefault();
+        html.find('.workshop-chassis').on('dragover', allowDrop).on('drop', ev => this._onDropChassis(ev));
+        html.find('.workshop-inventory').on('dragover', allowDrop).on('drop', ev => this._onDropInventory(ev));
+    }
+
+    _getDropData(ev) {
+        ev.preventDefault();
+        try {
+            return JSON.parse(ev.originalEvent.dataTransfer.getData('text/plain'));
+        } catch (err) {
+            return null;
+        }
+    }
+
+    async _onDropChassis(ev) {
+        const data = this._getDropData(ev);
+        const target = this.getChassisById(ev.currentTarget.dataset.chassisId);
+        if (!data || !target) return;
+
+        // Inventory mods (or regular item drops) start a normal install
+        if (data.type === "Item" || data.itemId) {
+            const mod = data.itemId ? this.actor.items.get(data.itemId) : await Item.fromDropData(data);
+            if (!mod) return;
+            const check = canInstall(target, mod);
+            if (!check.allowed) return check.reasons.forEach(reason => ui.notifications.error(reason));
+            return showModActionDialog(target, mod, 'install');
+        }
+
+        const source = this.getChassisById(data.chassisId);
+        const entry = source ? findInstalledMod(source, data.modKey) : null;
+        if (!entry || source.id === target.id) return;
+        showTransferDialog(source, entry, target);
+    }
+
+    async _onDropInventory(ev) {
+        const data = this._getDropData(ev);
+        if (!data?.chassisId) return;
+        const source = this.getChassisById(data.chassisId);
+        const entry = source ? findInstalledMod(source, data.modKey) : null;
+        if (entry) showModActionDialog(source, entry, 'remove');
+    }
+}
+
+/**
+ * Move an installed mod to another chassis: a salvaging removal followed by an install.
+ */
+function showTransferDialog(source, entry, target) {
+    // Check the target before anything is removed, using an unsaved copy of the mod
+    let preview = null;
+    try {
+        preview = new CONFIG.Item.documentClass(buildModWrapper(entry.originalData));
+    } catch (err) {
+        console.warn("SW5e Mod Manager | Could not preview transfer target compatibility", err);
+    }
+    const check = preview ? canInstall(target, preview) : { allowed: true, reasons: [] };
+    if (!check.allowed) return check.reasons.forEach(reason => ui.notifications.error(reason));
+
+    const buttons = {
+        roll: { label: "Roll Checks", callback: () => transferMod(source, entry, target, { direct: false }) }
+    };
+    if (canUseDirect()) buttons.direct = { label: "Direct (Skip Rolls)", callback: () => transferMod(source, entry, target, { direct: true }) };
+    buttons.cancel = { label: "Cancel" };
+    new Dialog({
+        title: `Transfer ${entry.name}`,
+        content: `<p>Move <strong>${entry.name}</strong> from <strong>${source.name}</strong> to <strong>${target.name}</strong>? The removal and the install each need a check (DC ${getModDC(entry)}). A failed removal keeps the mod where it is.</p>`,
+        buttons,
+        default: "roll"
+    }).render(true);
+}
+
+async function transferMod(source, entry, target, { direct = false } = {}) {
+    if (needsApproval() && !(direct && canUseDirect())) {
+        ui.notifications.warn("Transfers need both steps approved: the removal was sent to the GM. Install the salvaged mod once it is back in the inventory.");
+        return requestModApproval(source, entry, 'remove', { direct, destroyOnFail: false });
+    }
+    const removal = await executeModAction(source, entry, 'remove', { direct, destroyOnFail: false });
+    if (!removal?.success) return false;
+    // With crafting time tracked the removal is only a job: the install follows when it finishes,
+    // so the mod is never counted on both chassis
+    if (removal.jobId) {
+        const jobs = (source.getFlag('sw5e-mod-manager', 'jobs') || []).map(j => j.id === removal.jobId ? { ...j, transfer: { targetUuid: target.uuid, direct } } : j);
+        await source.setFlag('sw5e-mod-manager', 'jobs', jobs);
+        ui.notifications.info(`${entry.name} will be installed on ${target.name} once its removal job finishes.`);
+        return false;
+    }
+    return installTransferredMod(target, removal.salvagedItem, { direct });
+}
+
+/**
+ * The install half of a transfer, run straight after the removal or when its removal job finishes.
+ */
+async function installTransferredMod(target, mod, { direct = false, requestedBy = null } = {}) {
+    if (!target || !mod) {
+        ui.notifications.warn("The salvaged modification could not be moved to its new chassis.");
+        return false;
+    }
+    const check = canInstall(target, mod);
+    if (!check.allowed) {
+        check.reasons.forEach(reason => ui.notifications.error(reason));
+        return false;
+    }
+    const install = await executeModAction(target, mod, 'install', { direct, requestedBy });
+    return !!install?.success;
+}
+
+/**
+ * Window showing the Modifications tab for chassis without an item sheet: droids and
+ * characters with cybernetic augmentations.
+ */
+class ModChassisSheet extends Application {
+    constructor(chassis, options = {}) {
+        super(options);
+        this.chassis = chassis;
+        this._hooks = [];
+    }
+
+    static get defaultOptions() {
+        return foundry.utils.mergeObject(super.defaultOptions, {
+            classes: ["sw5e-mod-chassis-sheet"],
+            width: 480,
+            height: 600,
+            resizable: true
+        });
+    }
+
+    get id() {
+        return `sw5e-mod-chassis-${this.chassis.id}`;
+    }
+
+    get title() {
+        return `${getChassisKind(this.chassis)?.label ?? "Modifications"}: ${this.chassis.name}`;
+    }
+
+    async _renderInner() {
+        return $(`<div class="mod-chassis-body">${renderModTab(this.chassis)}</div>`);
+    }
+
+    activateListeners(html) {
+        super.activateListeners(html);
+        html.on('dragover', ev => ev.preventDefault());
+        activateModTabListeners(this.chassis, html);
+    }
+
+    async _render(force, options) {
+        await super._render(force, options);
+        if (this._hooks.length) return;
+        // Installed mods live in the actor's flags and effects
+        const refresh = (doc) => {
+            const actor = doc.documentName === "Actor" ? doc : doc.parent;
+            if (actor?.id === this.chassis.id) this.render();
+        };
+        for (const hook of ["updateActor", "createActiveEffect", "deleteActiveEffect"]) this._hooks.push([hook, Hooks.on(hook, refresh)]);
+    }
+
+    async close(options) {
+        this._hooks.forEach(([hook, id]) => Hooks.off(hook, id));
+        this._hooks = [];
+        return super.close(options);
+    }
+}
+
+function openChassisSheet(chassis) {
+    if (!chassis) return;
+    if (chassis.documentName === "Actor") return new ModChassisSheet(chassis).render(true);
+    chassis.sheet.render(true);
+}
+
+Hooks.on('getActorSheetHeaderButtons', (sheet, buttons) => {
+    if (!sheet.actor?.isOwner) return;
+    buttons.unshift({
+        label: "Workshop",
+        class: "sw5e-mod-workshop",
+        icon: "fas fa-tools",
+        onclick: () => new ModWorkshop(sheet.actor).render(true)
+    });
+    const kind = getChassisKind(sheet.actor);
+    if (kind) {
+        buttons.unshift({
+            label: kind.label,
+            class: "sw5e-mod-chassis",
+            icon: "fas fa-microchip",
+            onclick: () => openChassisSheet(sheet.actor)
+        });
+    }
+});
+
+/**
+ * Advance every crafting job as game time passes. Only the active GM processes this
+ * so the same hours are never logged twice.
+ */
+Hooks.on('updateWorldTime', async (worldTime, delta) => {
+    if (!game.users.activeGM?.isSelf || delta <= 0) return;
+    if (!game.settings.get('sw5e-mod-manager', 'trackCrafting')) return;
+    for (const chassis of getWorldDocuments()) {
+        if (chassis.getFlag('sw5e-mod-manager', 'jobs')?.length) await advanceModJobs(chassis, delta / 3600);
+    }
+});
+
+/**
+ * MIGRATION & REPAIR
+ * Installed entries carry a stable `installId`, which their copied effects are tagged with.
+ * Older data only linked effects through `sourceMod`, the mod item's id, which is shared by
+ * every copy of the same mod and goes stale when documents are copied or imported.
+ */
+const SCHEMA_VERSION = 1;
+
+function getInstallKey(entry) {
+    return entry.installId ?? entry.id;
+}
+
+function findInstalledMod(chassis, key) {
+    const mods = chassis.getFlag('sw5e-mod-manager', 'installedMods') || [];
+    return mods.find(m => getInstallKey(m) === key) ?? mods.find(m => m.id === key);
+}
+
+function getInstalledModEffects(chassis, entry) {
+    if (entry.installId) return chassis.effects.filter(e => e.getFlag('sw5e-mod-manager', 'installId') === entry.installId);
+    return chassis.effects.filter(e => e.getFlag('sw5e-mod-manager', 'sourceMod') === entry.id);
+}
+
+function isModdedChassis(doc) {
+    if (doc.getFlag('sw5e-mod-manager', 'installedMods')?.length) return true;
+    return doc.effects?.some(e => e.getFlag('sw5e-mod-manager', 'sourceMod') || e.getFlag('sw5e-mod-manager', 'installId'));
+}
+
+/**
+ * World items and actors with their items, including the synthetic actors of unlinked tokens.
+ */
+function getWorldDocuments() {
+    const tokenActors = game.scenes.contents.flatMap(s => s.tokens.contents).filter(t => !t.actorLink && t.actor).map(t => t.actor);
+    const actors = [...game.actors.contents, ...tokenActors];
+    return [...game.items.contents, ...actors, ...actors.flatMap(a => a.items.contents)];
+}
+
+function getWorldChassis() {
+    return getWorldDocuments().filter(isModdedChassis);
+}
+
+/**
+ * Loads only the pack documents whose index shows mod manager data (on the actor or one of its
+ * items), instead of the whole pack.
+ */
+async function getPackChassis(pack) {
+    const isActorPack = pack.documentName === "Actor";
+    const index = await pack.getIndex({ fields: isActorPack ? ["flags.sw5e-mod-manager", "items"] : ["flags.sw5e-mod-manager"] });
+    const hasModData = data => !!data.flags?.['sw5e-mod-manager'];
+    const ids = index.filter(e => hasModData(e) || (isActorPack && e.items?.some(hasModData))).map(e => e._id);
+    if (!ids.length) return [];
+    const documents = await pack.getDocuments({ _id__in: ids });
+    return documents.flatMap(d => pack.documentName === "Item" ? [d] : [d, ...d.items.contents]).filter(isModdedChassis);
+}
+
+/**
+ * Bring a chassis up to the current schema. Resolves to true if anything changed.
+ */
+async function migrateChassis(chassis) {
+    if ((chassis.getFlag('sw5e-mod-manager', 'schemaVersion') ?? 0) >= SCHEMA_VERSION) return false;
+    const mods = foundry.utils.deepClone(chassis.getFlag('sw5e-mod-manager', 'installedMods') || []);
+    const claimed = new Set();
+    const effectUpdates = [];
+    for (const entry of mods) {
+        entry.installId ??= foundry.utils.randomID();
+        (entry.effects || []).forEach(e => foundry.utils.setProperty(e, 'flags.sw5e-mod-manager.installId', entry.installId));
+        // Entries sharing a mod id split the legacy effects between them in install order
+        const legacy = chassis.effects.filter(e => !claimed.has(e.id) && !e.getFlag('sw5e-mod-manager', 'installId') && e.getFlag('sw5e-mod-manager', 'sourceMod') === entry.id);
+        const share = entry.effects?.length ? legacy.slice(0, entry.effects.length) : legacy;
+        share.forEach(e => {
+            claimed.add(e.id);
+            effectUpdates.push({ _id: e.id, "flags.sw5e-mod-manager.installId": entry.installId });
+        });
+    }
+    await chassis.update({
+        "flags.sw5e-mod-manager.installedMods": mods,
+        "flags.sw5e-mod-manager.schemaVersion": SCHEMA_VERSION
+    }, { sw5eModManager: true });
+    if (effectUpdates.length) await chassis.updateEmbeddedDocuments("ActiveEffect", effectUpdates);
+    return true;
+}
+
+/**
+ * Fix orphaned effects, duplicate entries, missing effects and stale origins on one chassis.
+ */
+async function repairChassis(chassis, report = null) {
+    report ??= { chassis: 0, orphanedEffects: 0, duplicateEntries: 0, restoredEffects: 0, staleIds: 0, skippedPacks: [] };
+    await migrateChassis(chassis);
+    report.chassis++;
+
+    const seen = new Set();
+    const mods = [];
+    for (const entry of chassis.getFlag('sw5e-mod-manager', 'installedMods') || []) {
+        if (seen.has(entry.installId)) {
+            report.duplicateEntries++;
+            continue;
+        }
+        seen.add(entry.installId);
+        mods.push(entry);
+    }
+    // Entries copied or imported with their chassis still name the mod's old owner, and their
+    // id must match the `sourceMod` of their effects for id-based lookups
+    const owner = getChassisActor(chassis);
+    let staleEntries = 0;
+    const repaired = mods.map(entry => {
+        const id = getInstalledModEffects(chassis, entry)[0]?.getFlag('sw5e-mod-manager', 'sourceMod') ?? entry.id;
+        const movedOwner = owner && entry.uuid?.includes('.Item.') && !entry.uuid.startsWith(`${owner.uuid}.`);
+        const uuid = movedOwner ? `${owner.uuid}.Item.${id}` : entry.uuid;
+        if (id === entry.id && uuid === entry.uuid) return entry;
+        staleEntries++;
+        const effects = (entry.effects || []).map(e => {
+            const effect = foundry.utils.deepClone(e);
+            foundry.utils.setProperty(effect, 'flags.sw5e-mod-manager.sourceMod', id);
+            return effect;
+        });
+        return { ...entry, id, uuid, effects };
+    });
+    if (staleEntries || mods.length !== (chassis.getFlag('sw5e-mod-manager', 'installedMods') || []).length) {
+        await chassis.update({ "flags.sw5e-mod-manager.installedMods": repaired }, { sw5eModManager: true });
+        report.staleIds += staleEntries;
+    }
+
+    const modEffects = chassis.effects.filter(e => e.getFlag('sw5e-mod-manager', 'sourceMod') || e.getFlag('sw5e-mod-manager', 'installId'));
+    const orphaned = modEffects.filter(e => !seen.has(e.getFlag('sw5e-mod-manager', 'installId')));
+    const staleOrigins = modEffects.filter(e => !orphaned.includes(e) && e.origin !== chassis.uuid);
+    if (orphaned.length) {
+        await chassis.deleteEmbeddedDocuments("ActiveEffect", orphaned.map(e => e.id));
+        report.orphanedEffects += orphaned.length;
+    }
+    if (staleOrigins.length) {
+        await chassis.updateEmbeddedDocuments("ActiveEffect", staleOrigins.map(e => ({ _id: e.id, origin: chassis.uuid })));
+        report.staleIds += staleOrigins.length;
+    }
+
+    const missing = mods.filter(m => m.effects?.length && !getInstalledModEffects(chassis, m).length).flatMap(m => m.effects.map(e => {
+        const effect = foundry.utils.deepClone(e);
+        delete effect._id;
+        effect.origin = chassis.uuid;
+        return effect;
+    }));
+    if (missing.length) {
+        const created = await chassis.createEmbeddedDocuments("ActiveEffect", missing);
+        await linkOnHitEffects(chassis, created.filter(e => e.getFlag('sw5e-mod-manager', 'effectMode') === "onHit").map(e => e.id));
+        report.restoredEffects += missing.length;
+    }
+    return report;
+}
+
+async function repairAll({ includeCompendiums = true } = {}) {
+    const report = { chassis: 0, orphanedEffects: 0, duplicateEntries: 0, restoredEffects: 0, staleIds: 0, skippedPacks: [] };
+    for (const chassis of getWorldChassis()) await repairChassis(chassis, report);
+    if (!includeCompendiums) return report;
+    for (const pack of game.packs.filter(p => ["Item", "Actor"].includes(p.documentName))) {
+        const chassis = await getPackChassis(pack);
+        if (!chassis.length) continue;
+        if (pack.locked) {
+            report.skippedPacks.push(pack.title);
+            continue;
+        }
+        for (const item of chassis) await repairChassis(item, report);
+    }
+    return report;
+}
+
+function showRepairReport(report) {
+    new Dialog({
+        title: "Chassis Data Report",
+        content: `
+            <p>Checked <strong>${report.chassis}</strong> modified chassis.</p>
+            <ul>
+                <li>Orphaned effects removed: ${report.orphanedEffects}</li>
+                <li>Duplicate mod entries removed: ${report.duplicateEntries}</li>
+                <li>Missing effects restored: ${report.restoredEffects}</li>
+                <li>Stale ids updated: ${report.staleIds}</li>
+            </ul>
+            ${report.skippedPacks.length ? `<p class="hint">Locked compendiums skipped: ${report.skippedPacks.join(', ')}. Unlock them and run Fix Chassis Data again to fix them.</p>` : ''}
+        `,
+        buttons: { ok: { label: "OK" } }
+    }).render(true);
+}
+
+/**
+ * Settings menu entry that runs the world-wide repair after confirmation.
+ */
+class ModRepairMenu extends FormApplication {
+    render() {
+        Dialog.confirm({
+            title: "Fix Chassis Data",
+            content: "<p>Scan every modified chassis in the world and in unlocked compendiums, and fix orphaned effects, duplicate entries and stale ids?</p>",
+            yes: async () => {
+                ui.notifications.info("SW5e Mod Manager | Fixing chassis data...");
+                showRepairReport(await repairAll());
+            }
+        });
+        return this;
+    }
+}
+
+Hooks.once('ready', async () => {
+    if (!game.users.activeGM?.isSelf) return;
+    await migrateRaritySettings();
+    if (game.settings.get('sw5e-mod-manager', 'migrationVersion') >= SCHEMA_VERSION) return;
+    let migrated = 0;
+    const failed = [];
+    const migrate = async chassis => {
+        try {
+            if (await migrateChassis(chassis)) migrated++;
+        } catch (err) {
+            failed.push(chassis.name);
+            console.error(`SW5e Mod Manager | Failed to migrate ${chassis.uuid}`, err);
+        }
+    };
+    for (const chassis of getWorldChassis()) await migrate(chassis);
+    // Locked compendiums are left to Fix Chassis Data, which migrates them once they are unlocked
+    for (const pack of game.packs.filter(p => ["Item", "Actor"].includes(p.documentName) && !p.locked)) {
+        const chassis = (await getPackChassis(pack)).filter(c => (c.getFlag('sw5e-mod-manager', 'schemaVersion') ?? 0) < SCHEMA_VERSION);
+        for (const item of chassis) await migrate(item);
+    }
+    if (migrated) ui.notifications.info(`SW5e Mod Manager | Migrated ${migrated} modified chassis to schema version ${SCHEMA_VERSION}.`);
+    // Failed chassis are retried on the next load
+    if (failed.length) {
+        ui.notifications.warn(`SW5e Mod Manager | Migration incomplete: ${failed.length} chassis failed (${failed.join(', ')}; see the console). It will run again on the next load.`, { permanent: true });
+        return;
+    }
+    await game.settings.set('sw5e-mod-manager', 'migrationVersion', SCHEMA_VERSION);
+});
+
+/**
+ * DISPLAY
+ * Surfaces installed mods outside the item sheet: on weapon usage, attack and damage chat
+ * cards, in item tooltips and as a badge on actor inventory rows.
+ */
+/**
+ * Escape user-provided text (mod, user and property names) for HTML content and attributes.
+ */
+function escapeModText(text) {
+    return Handlebars.escapeExpression(String(text ?? ""));
+}
+
+function getModdedTags(chassis) {
+    return [...getPropertySources(chassis).entries()].filter(([p, names]) => names.some(n => n !== "Native")).map(([p]) => p);
+}
+
+function renderModBadge(chassis) {
+    const mods = chassis.getFlag('sw5e-mod-manager', 'installedMods') || [];
+    if (!mods.length) return "";
+    const tooltip = escapeModText(`Mods: ${mods.map(m => m.name).join(', ')}`);
+    return `<span class="sw5e-mod-badge" data-tooltip="${tooltip}"><i class="fas fa-microchip"></i> ${mods.length}</span>`;
+}
+
+function renderChatModSummary(chassis) {
+    const mods = chassis.getFlag('sw5e-mod-manager', 'installedMods') || [];
+    if (!mods.length) return "";
+    const tags = getModdedTags(chassis);
+    return `
+        <div class="sw5e-mod-chat-summary">
+            <div><i class="fas fa-microchip"></i> <strong>Mods:</strong> ${mods.map(m => escapeModText(m.name)).join(', ')}</div>
+            ${tags.length ? `<div class="sw5e-mod-chat-tags">${tags.map(t => `<span>${escapeModText(t)}</span>`).join('')}</div>` : ''}
+        </div>
+    `;
+}
+
+Hooks.on('renderChatMessage', (message, html) => {
+    const flags = message.flags?.dnd5e;
+    if (!flags) return;
+    const isUsage = flags.messageType === "usage" || !!flags.use;
+    const isRoll = ["attack", "damage"].includes(flags.roll?.type);
+    if (!isUsage && !isRoll) return;
+    const item = message.getAssociatedItem?.() ?? (flags.item?.uuid ? fromUuidSync(flags.item.uuid) : null);
+    if (!isChassis(item) || html.find('.sw5e-mod-chat-summary').length) return;
+    const summary = renderChatModSummary(item);
+    if (summary) html.find('.message-content').append(summary);
+});
+
+Hooks.on('renderActorSheet', (app, html) => {
+    html.find('[data-item-id]').each((i, el) => {
+        const row = $(el);
+        const item = app.actor?.items.get(el.dataset.itemId);
+        if (!isChassis(item) || row.find('.sw5e-mod-badge').length) return;
+        const badge = renderModBadge(item);
+        if (badge) row.find('.item-name').first().append(badge);
+    });
+});
+
+/**
+ * Append the mod badge to the system's rich item tooltips, when the system provides them.
+ */
+function patchItemTooltips() {
+    const proto = CONFIG.Item.documentClass?.prototype;
+    if (typeof proto?.richTooltip !== "function") return;
+    const original = proto.richTooltip;
+    proto.richTooltip = async function(...args) {
+        const tooltip = await original.apply(this, args);
+        if (tooltip?.content && isChassis(this)) {
+            const summary = renderChatModSummary(this);
+            if (summary) tooltip.content += summary;
+        }
+        return tooltip;
+    };
+}
+
+/**
+ * PUBLIC API
+ * Available as `game.modules.get('sw5e-mod-manager').api`. Documents may be passed as
+ * instances or UUID strings.
+ */
+async function resolveDocument(docOrUuid) {
+    if (typeof docOrUuid === "string") return fromUuid(docOrUuid);
+    return docOrUuid ?? null;
+}
+
+const ModManagerAPI = {
+    /**
+     * Install a mod on a chassis. With `dialog: true` the normal roll dialog is shown,
+     * otherwise the mod is installed directly unless `force` is false and a rule blocks it.
+     * Calls follow the same rules as the dialog: users below the direct role roll a check,
+     * and requests that need approval go to the GM. Only GMs may `force`.
+     */
+    async install(chassisRef, modRef, { dialog = false, force = false } = {}) {
+        const chassis = await resolveDocument(chassisRef);
+        const mod = await resolveDocument(modRef);
+        if (!chassis || !mod) return false;
+        if (!force || !game.user.isGM) {
+            const check = canInstall(chassis, mod);
+            if (!check.allowed) {
+                check.reasons.forEach(reason => ui.notifications.error(reason));
+                return false;
+            }
+        }
+        if (dialog) {
+            showModActionDialog(chassis, mod, 'install');
+            return true;
+        }
+        return dispatchModAction(chassis, mod, 'install', { direct: canUseDirect() });
+    },
+
+    /**
+     * Remove an installed mod by its id. Salvaged mods are returned to the owner's inventory.
+     * Permissions work as for install; destroying a mod outright (`salvage: false`) is GM only.
+     */
+    async remove(chassisRef, modId, { dialog = false, salvage = true } = {}) {
+        const chassis = await resolveDocument(chassisRef);
+        if (!chassis) return false;
+        const modData = findInstalledMod(chassis, modId);
+        if (!modData) return false;
+        if (dialog) {
+            showModActionDialog(chassis, modData, 'remove');
+            return true;
+        }
+        if (salvage) return dispatchModAction(chassis, modData, 'remove', { direct: canUseDirect() });
+        if (!game.user.isGM) {
+            ui.notifications.error("Only a GM can destroy an installed modification.");
+            return false;
+        }
+        return performRemove(chassis, modId, false, { roll: null, dc: null, success: true, direct: true });
+    },
+
+    async list(chassisRef) {
+        const chassis = await resolveDocument(chassisRef);
+        return foundry.utils.deepClone(chassis?.getFlag('sw5e-mod-manager', 'installedMods') || []);
+    },
+
+    async canInstall(chassisRef, modRef) {
+        const chassis = await resolveDocument(chassisRef);
+        const mod = await resolveDocument(modRef);
+        if (!chassis || !mod) return { allowed: false, reasons: ["Chassis or modification not found."] };
+        return canInstall(chassis, mod);
+    },
+
+    /**
+     * Save the chassis' current mods as a named loadout, or switch to a saved one by name.
+     */
+    async saveLoadout(chassisRef, name) {
+        const chassis = await resolveDocument(chassisRef);
+        if (chassis && name) await saveLoadout(chassis, name);
+    },
+
+    async switchLoadout(chassisRef, name, { direct = false } = {}) {
+        const chassis = await resolveDocument(chassisRef);
+        const loadout = chassis ? getLoadouts(chassis).find(l => l.name === name) : null;
+        if (!loadout) return null;
+        return switchLoadout(chassis, loadout, { direct: direct && canUseDirect() });
+    },
+
+    async repair(chassisRef) {
+        if (!chassisRef) return repairAll();
+        const chassis = await resolveDocument(chassisRef);
+        return chassis ? repairChassis(chassis) : null;
+    },
+
+    async wrap(itemRef) {
+        const item = await resolveDocument(itemRef);
+        if (!item) return;
+        return wrapModification(item);
+    },
+
+    /**
+     * Wrap every modification in a compendium (collection id or instance), folder or actor.
+     * With `compendium` set to a label the wrapped copies go into a new world compendium.
+     */
+    async bulkWrap(sourceRef, { compendium = null } = {}) {
+        const source = typeof sourceRef === "string" ? (game.packs.get(sourceRef) ?? await fromUuid(sourceRef)) : sourceRef;
+        if (!source) return null;
+        return bulkWrapItems(await collectBulkWrapCandidates(source), { compendiumLabel: compendium });
+    },
+
+    async unwrap(itemRef) {
+        const item = await resolveDocument(itemRef);
+        if (!item) return;
+        return unwrapModification(item);
+    },
+
+    isModification,
+
+    /**
+     * Register a new chassis kind, or replace a built-in one by reusing its id.
+     * See registerChassisKind for the options.
+     */
+    registerChassisKind,
+
+    getChassisKind
+};
\ No newline at end of file